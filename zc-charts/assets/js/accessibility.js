@@ -0,0 +1,320 @@
+/**
+ * ZC Charts Accessibility
+ * Text summaries, keyboard traversal of data points and reduced motion support for rendered charts
+ */
+
+class ZCAccessibility {
+    /**
+     * Attach to a chart handler
+     *
+     * The handler provides getSeriesList() and currentData, and optionally isSeriesVisible(),
+     * highlightPoint(seriesIndex, point) and clearHighlight() to show the selected point.
+     */
+    constructor(handler) {
+        this.handler = handler;
+        this.container = handler.container;
+        this.series = [];
+        this.seriesIndex = 0;
+        this.pointIndex = -1;
+        this.summary = null;
+        this.liveRegion = null;
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onFocus = this.onFocus.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        
+        this.createElements();
+    }
+    
+    /**
+     * Create the summary and live region and make the container focusable
+     * Both are placed after the container, as chart libraries replace its content
+     */
+    createElements() {
+        const id = this.container.id || `zc-chart-${++ZCAccessibility.count}`;
+        
+        this.summary = document.createElement('div');
+        this.summary.id = `${id}-summary`;
+        this.summary.className = 'zc-chart-summary zc-chart-sr-only';
+        
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'zc-chart-live-region zc-chart-sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        
+        if (this.container.parentNode) {
+            this.container.parentNode.insertBefore(this.summary, this.container.nextSibling);
+            this.container.parentNode.insertBefore(this.liveRegion, this.summary.nextSibling);
+        }
+        
+        this.container.setAttribute('tabindex', '0');
+        this.container.setAttribute('role', 'application');
+        this.container.setAttribute('aria-roledescription', 'chart');
+        this.container.setAttribute('aria-describedby', this.summary.id);
+        
+        this.container.addEventListener('keydown', this.onKeyDown);
+        this.container.addEventListener('focus', this.onFocus);
+        this.container.addEventListener('blur', this.onBlur);
+    }
+    
+    /**
+     * Refresh the summary, labels and navigable points from the handler's current data
+     */
+    update() {
+        const handler = this.handler;
+        this.series = handler.getSeriesList(handler.currentData || handler.data)
+            .map((item, index) => ({ ...item, index: index }))
+            .filter(item => item.points.length &&
+                (typeof handler.isSeriesVisible !== 'function' || handler.isSeriesVisible(item.index)));
+        
+        // Keep the selected point when it still exists
+        this.seriesIndex = Math.min(this.seriesIndex, Math.max(this.series.length - 1, 0));
+        const current = this.series[this.seriesIndex];
+        if (!current || this.pointIndex >= current.points.length) {
+            this.pointIndex = -1;
+        }
+        
+        const label = ZCAccessibility.getLabel(this.series);
+        const summary = ZCAccessibility.getSummary(this.series);
+        
+        this.container.setAttribute('aria-label', label);
+        this.summary.textContent = this.series.length ? `${summary} ${ZCI18n.text('instructions')}` : summary;
+        
+        // Give the drawing itself a text alternative
+        const graphic = this.container.querySelector('canvas, svg');
+        if (graphic) {
+            graphic.setAttribute('role', 'img');
+            graphic.setAttribute('aria-label', label);
+            if (graphic.tagName.toLowerCase() === 'canvas') {
+                graphic.textContent = summary;
+            }
+        }
+    }
+    
+    /**
+     * Move through the data points with the arrow, Home and End keys
+     */
+    onKeyDown(event) {
+        if (!this.series.length) {
+            return;
+        }
+        
+        const points = this.series[this.seriesIndex].points;
+        const last = points.length - 1;
+        
+        switch (event.key) {
+            case 'ArrowRight':
+                this.pointIndex = this.pointIndex === -1 ? 0 : Math.min(this.pointIndex + 1, last);
+                break;
+            case 'ArrowLeft':
+                this.pointIndex = this.pointIndex === -1 ? last : Math.max(this.pointIndex - 1, 0);
+                break;
+            case 'Home':
+                this.pointIndex = 0;
+                break;
+            case 'End':
+                this.pointIndex = last;
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown':
+                this.selectSeries(this.seriesIndex + (event.key === 'ArrowDown' ? 1 : -1));
+                break;
+            case 'Escape':
+                this.clear();
+                return;
+            default:
+                return;
+        }
+        
+        event.preventDefault();
+        this.showPoint();
+    }
+    
+    /**
+     * Switch to another series, keeping the nearest date selected
+     */
+    selectSeries(index) {
+        const target = (index + this.series.length) % this.series.length;
+        const current = this.series[this.seriesIndex].points[this.pointIndex];
+        const points = this.series[target].points;
+        
+        this.seriesIndex = target;
+        if (!current) {
+            this.pointIndex = points.length - 1;
+            return;
+        }
+        
+        const time = new Date(current.obs_date).getTime();
+        let nearest = 0;
+        points.forEach((point, pointIndex) => {
+            if (Math.abs(new Date(point.obs_date).getTime() - time) < Math.abs(new Date(points[nearest].obs_date).getTime() - time)) {
+                nearest = pointIndex;
+            }
+        });
+        this.pointIndex = nearest;
+    }
+    
+    /**
+     * Announce and highlight the selected point
+     */
+    showPoint() {
+        const item = this.series[this.seriesIndex];
+        const point = item.points[this.pointIndex];
+        const frequency = ZCI18n.detectFrequency(item.points.map(entry => entry.obs_date));
+        
+        this.announce(ZCI18n.text('point',
+            item.name,
+            ZCI18n.formatValue(point.value, item),
+            ZCI18n.formatDate(point.obs_date, frequency),
+            this.pointIndex + 1,
+            item.points.length
+        ));
+        
+        if (typeof this.handler.highlightPoint === 'function') {
+            this.handler.highlightPoint(item.index, point);
+        }
+    }
+    
+    /**
+     * Clear the selected point
+     */
+    clear() {
+        this.pointIndex = -1;
+        if (typeof this.handler.clearHighlight === 'function') {
+            this.handler.clearHighlight();
+        }
+    }
+    
+    /**
+     * Read the latest visible series when the chart receives focus
+     */
+    onFocus() {
+        this.update();
+    }
+    
+    /**
+     * Hide the highlight when focus leaves the chart
+     */
+    onBlur() {
+        if (this.pointIndex !== -1) {
+            this.clear();
+        }
+    }
+    
+    /**
+     * Announce a message through the live region
+     */
+    announce(message) {
+        this.liveRegion.textContent = message;
+    }
+    
+    /**
+     * Remove the summary, live region, listeners and attributes
+     */
+    destroy() {
+        this.container.removeEventListener('keydown', this.onKeyDown);
+        this.container.removeEventListener('focus', this.onFocus);
+        this.container.removeEventListener('blur', this.onBlur);
+        
+        ['tabindex', 'role', 'aria-roledescription', 'aria-describedby', 'aria-label'].forEach(attribute => {
+            this.container.removeAttribute(attribute);
+        });
+        
+        this.summary.remove();
+        this.liveRegion.remove();
+    }
+    
+    /**
+     * Get a short label naming the charted series
+     */
+    static getLabel(series) {
+        if (!series.length) {
+            return ZCI18n.text('chart');
+        }
+        
+        return ZCI18n.text('chartOf', ZCI18n.formatList(series.map(item => item.name)));
+    }
+    
+    /**
+     * Describe each series: range, latest value, low and high, and trend
+     */
+    static getSummary(series) {
+        if (!series.length) {
+            return ZCI18n.text('summaryNoData');
+        }
+        
+        return series.map(item => ZCAccessibility.describeSeries(item)).join(' ');
+    }
+    
+    /**
+     * Describe one series
+     */
+    static describeSeries(item) {
+        const points = item.points.filter(point => isFinite(point.value));
+        const name = item.units ? `${item.name} (${item.units})` : item.name;
+        if (!points.length) {
+            return ZCI18n.text('seriesNoData', name);
+        }
+        
+        const frequency = ZCI18n.detectFrequency(points.map(point => point.obs_date));
+        const format = value => ZCI18n.formatValue(value, item);
+        const date = point => ZCI18n.formatDate(point.obs_date, frequency);
+        const first = points[0];
+        const latest = points[points.length - 1];
+        
+        if (points.length === 1) {
+            return ZCI18n.text('oneObservation', name, format(latest.value), date(latest));
+        }
+        
+        let low = first;
+        let high = first;
+        points.forEach(point => {
+            low = point.value < low.value ? point : low;
+            high = point.value > high.value ? point : high;
+        });
+        
+        return [
+            ZCI18n.text('observations', name, ZCI18n.formatNumber(points.length), date(first), date(latest)),
+            ZCI18n.text('latest', format(latest.value), date(latest)),
+            ZCI18n.text('lowHigh', format(low.value), date(low), format(high.value), date(high)),
+            ZCAccessibility.describeTrend(first.value, latest.value, item)
+        ].join(' ');
+    }
+    
+    /**
+     * Describe the change between the first and latest values
+     */
+    static describeTrend(first, latest, item = {}) {
+        const change = latest - first;
+        const key = change > 0 ? 'trendUp' : 'trendDown';
+        
+        // Percentages are meaningless from zero; use the absolute change instead
+        if (first === 0) {
+            return change === 0 ?
+                ZCI18n.text('unchanged') :
+                ZCI18n.text(key, ZCI18n.formatValue(Math.abs(change), item));
+        }
+        
+        const percent = change / Math.abs(first) * 100;
+        if (Math.abs(percent) < 1) {
+            return ZCI18n.text('littleChanged');
+        }
+        
+        return ZCI18n.text(key, ZCI18n.formatNumber(Math.round(Math.abs(percent) * 10) / 10, { units: '%' }));
+    }
+    
+    /**
+     * Check if the visitor asked for reduced motion
+     */
+    static prefersReducedMotion() {
+        return typeof window !== 'undefined' && !!window.matchMedia &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+}
+
+// Number of charts given a generated id
+ZCAccessibility.count = 0;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCAccessibility;
+}
\ No newline at end of file
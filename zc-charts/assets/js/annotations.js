@@ -0,0 +1,200 @@
+/**
+ * ZC Charts Annotations
+ * Normalizes shaded date ranges, event markers, reference lines and recession shading
+ */
+
+class ZCAnnotations {
+    /**
+     * Build the annotation list for a chart configuration
+     *
+     * Accepts config.annotations (an array of annotation objects) and the shortcode strings
+     * config.ranges ("2020-02-01:2020-04-30:Label"), config.events ("2008-09-15:Label"),
+     * config.lines ("2:Label" or "2:Label:right"), with "|" between items, and
+     * config.recessions (a recession list name, or "true" for the US list).
+     */
+    static fromConfig(config) {
+        const annotations = [];
+        
+        if (Array.isArray(config.annotations)) {
+            config.annotations.forEach(annotation => annotations.push(ZCAnnotations.normalize(annotation)));
+        }
+        
+        ZCAnnotations.parseList(config.ranges).forEach(fields => annotations.push(ZCAnnotations.normalize({
+            type: 'range',
+            from: fields[0],
+            to: fields[1],
+            label: fields.slice(2).join(':').trim()
+        })));
+        
+        ZCAnnotations.parseList(config.events).forEach(fields => annotations.push(ZCAnnotations.normalize({
+            type: 'event',
+            date: fields[0],
+            label: fields.slice(1).join(':').trim()
+        })));
+        
+        ZCAnnotations.parseList(config.lines).forEach(fields => {
+            const axis = fields[fields.length - 1].trim();
+            const hasAxis = fields.length > 2 && ['left', 'right'].indexOf(axis) !== -1;
+            annotations.push(ZCAnnotations.normalize({
+                type: 'line',
+                value: fields[0],
+                label: fields.slice(1, hasAxis ? -1 : undefined).join(':').trim(),
+                axis: hasAxis ? axis : 'left'
+            }));
+        });
+        
+        ZCAnnotations.getRecessions(config.recessions).forEach(period => annotations.push(ZCAnnotations.normalize({
+            type: 'range',
+            from: period[0],
+            to: period[1],
+            recession: true
+        })));
+        
+        return annotations.filter(Boolean);
+    }
+    
+    /**
+     * Split a shortcode annotation string into items and fields
+     * Labels may contain ":" and are joined back together by the caller
+     */
+    static parseList(value) {
+        if (!value || typeof value !== 'string') {
+            return [];
+        }
+        
+        return value.split('|')
+            .map(item => item.trim())
+            .filter(Boolean)
+            .map(item => item.split(':'));
+    }
+    
+    /**
+     * Validate an annotation and fill in its defaults
+     * Returns null for annotations that cannot be drawn
+     */
+    static normalize(annotation) {
+        if (!annotation || typeof annotation !== 'object') {
+            return null;
+        }
+        
+        const defaults = ZCAnnotations.defaults[annotation.type];
+        if (!defaults) {
+            console.warn(`Unknown annotation type "${annotation.type}"`);
+            return null;
+        }
+        
+        const normalized = {
+            ...defaults,
+            ...annotation,
+            label: annotation.label ? String(annotation.label) : ''
+        };
+        
+        if (annotation.recession && !annotation.color) {
+            normalized.color = ZCAnnotations.recessionColor;
+        }
+        
+        if (normalized.type === 'range') {
+            normalized.from = ZCAnnotations.parseDate(annotation.from);
+            normalized.to = ZCAnnotations.parseDate(annotation.to);
+            if (normalized.from === null || normalized.to === null) {
+                return null;
+            }
+            if (normalized.from > normalized.to) {
+                [normalized.from, normalized.to] = [normalized.to, normalized.from];
+            }
+        } else if (normalized.type === 'event') {
+            normalized.date = ZCAnnotations.parseDate(annotation.date);
+            if (normalized.date === null) {
+                return null;
+            }
+        } else {
+            normalized.value = parseFloat(annotation.value);
+            normalized.axis = annotation.axis === 'right' ? 'right' : 'left';
+            if (isNaN(normalized.value)) {
+                return null;
+            }
+        }
+        
+        return normalized;
+    }
+    
+    /**
+     * Get the recession periods for a list name
+     * Site lists from zcChartsConfig.recessions take precedence over the built-in ones
+     */
+    static getRecessions(name) {
+        if (!name || name === 'false' || name === '0' || name === 'no') {
+            return [];
+        }
+        
+        const key = name === true || name === 'true' || name === '1' || name === 'yes' ? 'us' : String(name).toLowerCase();
+        const lists = {
+            ...ZCAnnotations.recessions,
+            ...(typeof zcChartsConfig !== 'undefined' && zcChartsConfig.recessions ? zcChartsConfig.recessions : {})
+        };
+        
+        if (!Array.isArray(lists[key])) {
+            console.warn(`Unknown recession list "${key}"`);
+            return [];
+        }
+        
+        return lists[key];
+    }
+    
+    /**
+     * Parse a date into a UTC timestamp, or null when it is invalid
+     */
+    static parseDate(value) {
+        const time = new Date(typeof value === 'string' ? value.trim() : value).getTime();
+        return isNaN(time) ? null : time;
+    }
+    
+    /**
+     * Get the annotations of one type
+     */
+    static ofType(annotations, type) {
+        return (annotations || []).filter(annotation => annotation.type === type);
+    }
+}
+
+// Default styles per annotation type
+ZCAnnotations.defaults = {
+    range: {
+        type: 'range',
+        color: 'rgba(120, 120, 120, 0.15)'
+    },
+    event: {
+        type: 'event',
+        color: '#72777c'
+    },
+    line: {
+        type: 'line',
+        color: '#dc3232'
+    }
+};
+
+// Shading for recession periods
+ZCAnnotations.recessionColor = 'rgba(120, 120, 120, 0.2)';
+
+// US business cycle contractions, peak to trough (NBER)
+ZCAnnotations.recessions = {
+    us: [
+        ['1948-11-01', '1949-10-31'],
+        ['1953-07-01', '1954-05-31'],
+        ['1957-08-01', '1958-04-30'],
+        ['1960-04-01', '1961-02-28'],
+        ['1969-12-01', '1970-11-30'],
+        ['1973-11-01', '1975-03-31'],
+        ['1980-01-01', '1980-07-31'],
+        ['1981-07-01', '1982-11-30'],
+        ['1990-07-01', '1991-03-31'],
+        ['2001-03-01', '2001-11-30'],
+        ['2007-12-01', '2009-06-30'],
+        ['2020-02-01', '2020-04-30']
+    ]
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCAnnotations;
+}
\ No newline at end of file
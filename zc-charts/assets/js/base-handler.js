@@ -0,0 +1,351 @@
+/**
+ * ZC Charts Base Handler
+ * Data handling shared by the chart library handlers: parsing series, downsampling, timeframes,
+ * data export, events and clean-up. Each handler draws the data with its own library.
+ */
+
+class ZCBaseHandler {
+    constructor(container, data, config) {
+        this.container = container;
+        this.data = data;
+        this.config = config;
+        this.currentData = data;
+        this.chartInstance = null;
+        this.theme = ZCThemes.resolve(container, config);
+        this.annotations = ZCAnnotations.fromConfig(config);
+        this.accessibility = null;
+        this.resizeObserver = null;
+        this.visibleRange = null;
+        this.hoverTime = null;
+        
+        // Timeframes are filtered and series downsampled in the data pipeline; the loader passes
+        // its own, which runs them in the data worker
+        this.pipeline = new ZCDataPipeline();
+        this.drawn = null;
+        this.drawing = Promise.resolve();
+        this.drawRequest = 0;
+        this.filterRequest = 0;
+    }
+    
+    /**
+     * Draw the current data into the existing chart
+     * Implemented by each handler; called when the data changes
+     */
+    redraw() {
+        throw new Error(`${this.constructor.name} does not implement redraw()`);
+    }
+    
+    /**
+     * Normalize chart data into a list of series with sorted, parsed points
+     * Points are { obs_date, time, value }; observations without a numeric value are left out.
+     */
+    getSeriesList(data = this.data) {
+        if (!data) {
+            return [];
+        }
+        
+        const series = Array.isArray(data.series) ? data.series : [{
+            slug: this.config.slug,
+            indicator: data.indicator,
+            data: data.data
+        }];
+        
+        // Axis assignment per series, in the same order as the slugs
+        let axes = this.config.axes || [];
+        if (typeof axes === 'string') {
+            axes = axes.split(',').map(axis => axis.trim());
+        }
+        
+        return series.map((item, index) => {
+            let points = [];
+            
+            if (data.prepared) {
+                // Already parsed and sorted by the loader's data pipeline
+                points = item.data;
+            } else if (Array.isArray(item.data)) {
+                item.data.forEach(point => {
+                    const value = parseFloat(point.value);
+                    if (point.obs_date && !isNaN(value)) {
+                        points.push({
+                            obs_date: point.obs_date,
+                            time: new Date(point.obs_date).getTime(),
+                            value: value
+                        });
+                    }
+                });
+                
+                // Sort data by date
+                points.sort((a, b) => a.time - b.time);
+            }
+            
+            return {
+                slug: item.slug,
+                name: item.indicator && item.indicator.name ? item.indicator.name : (item.slug || ZCI18n.text('indicator')),
+                units: item.indicator && item.indicator.units ? item.indicator.units : '',
+                decimals: this.getDecimals(item.indicator),
+                axis: axes[index] === 'right' ? 'right' : 'left',
+                points: points
+            };
+        });
+    }
+    
+    /**
+     * Get the series as drawn: long series are downsampled to the point limit
+     * Points within the range, if given, are kept at full resolution (see ZCDataTransforms.downsample).
+     * Series downsampled ahead by prepareDrawnSeries() are reused; others are downsampled here.
+     */
+    getDrawnSeries(data = this.currentData, limit = this.getPointLimit(), range = null) {
+        const drawn = this.drawn;
+        if (drawn && drawn.data === data && drawn.limit === limit && JSON.stringify(drawn.range) === JSON.stringify(range)) {
+            return drawn.series;
+        }
+        
+        return this.getSeriesList(data).map(item => ({
+            ...item,
+            points: ZCDataTransforms.downsample(item.points, limit, range)
+        }));
+    }
+    
+    /**
+     * Downsample the series in the data pipeline, for getDrawnSeries() with the same arguments
+     */
+    async prepareDrawnSeries(data = this.currentData, limit = this.getPointLimit(), range = this.visibleRange) {
+        const series = this.getSeriesList(data);
+        
+        try {
+            const points = await this.pipeline.run('downsample', series.map(item => item.points), limit, range);
+            this.drawn = {
+                data: data,
+                limit: limit,
+                range: range,
+                series: series.map((item, index) => ({ ...item, points: points[index] }))
+            };
+        } catch (error) {
+            // getDrawnSeries() downsamples on the main thread instead
+            console.warn('Failed to downsample chart data:', error);
+        }
+    }
+    
+    /**
+     * Downsample the current data, then redraw with the given arguments
+     * A call made while an earlier one waits for the pipeline supersedes it. Resolves once drawn;
+     * the promise is also kept as this.drawing.
+     */
+    draw(...args) {
+        const request = ++this.drawRequest;
+        
+        this.drawing = this.prepareDrawnSeries().then(() => {
+            if (request === this.drawRequest && this.chartInstance) {
+                this.redraw(...args);
+            }
+        });
+        
+        return this.drawing;
+    }
+    
+    /**
+     * Get the number of points to draw per series: about one per pixel of the chart's width
+     */
+    getPointLimit() {
+        return this.container.clientWidth || ZCDataTransforms.defaultPointLimit;
+    }
+    
+    /**
+     * Get the color for a series by its position
+     */
+    getSeriesColor(index) {
+        const palette = this.theme.palette;
+        return palette[index % palette.length];
+    }
+    
+    /**
+     * Get the axis title from the units of the series plotted on it
+     */
+    getAxisTitle(series, axis) {
+        const units = series
+            .filter(item => item.axis === axis && item.units)
+            .map(item => item.units)
+            .filter((unit, index, list) => list.indexOf(unit) === index);
+        
+        return units.length ? units.join(' / ') : ZCI18n.text('value');
+    }
+    
+    /**
+     * Get the units shared by every series on an axis, for tick labels
+     */
+    getAxisUnits(series, axis) {
+        const units = series
+            .filter(item => item.axis === axis)
+            .map(item => item.units)
+            .filter((unit, index, list) => list.indexOf(unit) === index);
+        
+        return units.length === 1 ? units[0] : '';
+    }
+    
+    /**
+     * Get the decimal places for a series: the indicator's own setting, else the chart's "decimals"
+     */
+    getDecimals(indicator) {
+        if (indicator && indicator.decimals !== undefined && indicator.decimals !== null && indicator.decimals !== '') {
+            return parseInt(indicator.decimals, 10);
+        }
+        
+        return this.config.decimals !== undefined ? parseInt(this.config.decimals, 10) : null;
+    }
+    
+    /**
+     * Update chart with new data
+     * Resolves once drawn
+     */
+    updateData(newData) {
+        if (!this.chartInstance) {
+            return Promise.resolve();
+        }
+        
+        this.currentData = newData;
+        return this.draw();
+    }
+    
+    /**
+     * Apply timeframe filter
+     * Resolves once drawn; a timeframe applied meanwhile replaces this one
+     */
+    async applyTimeframeFilter(timeframe) {
+        if (!this.chartInstance || !this.data) {
+            return;
+        }
+        
+        const request = ++this.filterRequest;
+        
+        // Filter every series based on timeframe
+        const series = Array.isArray(this.data.series) ? this.data.series : [{
+            slug: this.config.slug,
+            indicator: this.data.indicator,
+            data: this.data.data
+        }];
+        
+        const filtered = await this.pipeline.run('filterSeries', { ...this.data, series: series }, timeframe);
+        
+        // Update chart with filtered data
+        if (request === this.filterRequest) {
+            await this.updateData(filtered);
+        }
+    }
+    
+    /**
+     * Export the chart with its title, source line and branding as PNG, SVG or PDF
+     * Resolves with { blob, filename }
+     */
+    exportImage(format = 'png', options = {}) {
+        if (!this.chartInstance) {
+            return Promise.reject(new Error('Chart not initialized'));
+        }
+        
+        return ZCImageExport.export(this, format, options);
+    }
+    
+    /**
+     * Export the visible series as CSV, JSON or XLSX, within the zoomed-in range if there is one
+     * Resolves with { blob, filename }
+     */
+    exportData(format = 'csv') {
+        if (!this.chartInstance) {
+            return Promise.reject(new Error('Chart not initialized'));
+        }
+        
+        const range = this.visibleRange;
+        const series = this.getSeriesList(this.currentData)
+            .filter((item, index) => this.isSeriesVisible(index))
+            .map(item => range ? {
+                ...item,
+                points: item.points.filter(point => point.time >= range.min && point.time <= range.max)
+            } : item);
+        
+        return ZCDataExport.export(series, format, {
+            slug: this.config.slug,
+            source: this.data ? this.data.source : null
+        });
+    }
+    
+    /**
+     * Check if a series is shown (not hidden through the legend)
+     */
+    isSeriesVisible(index) {
+        return true;
+    }
+    
+    /**
+     * Remember the hovered date, and tell other charts when it changes
+     */
+    setHoverTime(time) {
+        if (time === this.hoverTime) {
+            return;
+        }
+        
+        this.hoverTime = time;
+        this.emit('hover', { time: time });
+    }
+    
+    /**
+     * Dispatch a zc-chart:hover or zc-chart:zoom event on the container
+     * The loader passes them on to the charts in the same sync group
+     */
+    emit(name, detail) {
+        this.container.dispatchEvent(new CustomEvent(`zc-chart:${name}`, {
+            bubbles: true,
+            detail: detail
+        }));
+    }
+    
+    /**
+     * Call back when the container is resized
+     * The observer is kept so destroy() can disconnect it
+     */
+    addResizeListener(callback) {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        if (typeof ResizeObserver === 'undefined') {
+            return;
+        }
+        
+        this.resizeObserver = new ResizeObserver(callback);
+        this.resizeObserver.observe(this.container);
+    }
+    
+    /**
+     * Toggle fullscreen mode
+     */
+    toggleFullscreen() {
+        if (!document.fullscreenElement) {
+            this.container.requestFullscreen().catch(err => {
+                console.error('Error attempting to enable fullscreen:', err);
+            });
+        } else {
+            if (document.exitFullscreen) {
+                document.exitFullscreen();
+            }
+        }
+    }
+    
+    /**
+     * Stop watching the container and remove the text alternative
+     * Handlers destroy their chart, then call this
+     */
+    destroy() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        
+        if (this.accessibility) {
+            this.accessibility.destroy();
+            this.accessibility = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCBaseHandler;
+}
\ No newline at end of file
@@ -0,0 +1,297 @@
+/**
+ * ZC Charts Controls
+ * Connects the timeframe, date range, chart type and export controls of each chart wrapper to its handler
+ */
+
+class ZCChartControls {
+    constructor(loader) {
+        this.loader = loader;
+        this.bound = new WeakSet();
+        
+        this.init();
+    }
+    
+    /**
+     * Bind the controls of every chart wrapper on the page
+     */
+    init() {
+        document.querySelectorAll('.zc-chart-wrapper').forEach(wrapper => this.bind(wrapper));
+    }
+    
+    /**
+     * Bind the controls of a single chart wrapper
+     */
+    bind(wrapper) {
+        const controls = wrapper.querySelector('.zc-chart-controls');
+        const container = wrapper.querySelector('.zc-chart-container');
+        
+        if (!controls || !container || this.bound.has(wrapper)) {
+            return;
+        }
+        this.bound.add(wrapper);
+        
+        // Reflect the configured view before the chart has loaded, and the restored one once it has
+        const config = this.getConfig(container);
+        this.syncControls(wrapper, config);
+        ['zc-chart:loaded', 'zc-chart:fallback'].forEach(name => {
+            container.addEventListener(name, event => this.syncControls(wrapper, event.detail.config));
+        });
+        
+        // Show a zoomed-in range in the date range picker, from where it can be applied as the timeframe
+        container.addEventListener('zc-chart:zoom', event => this.onZoom(wrapper, container, event.detail));
+        
+        // Delegate clicks so the controls work whenever the chart finishes loading
+        controls.addEventListener('click', event => {
+            const timeframeButton = event.target.closest('.timeframe-btn');
+            if (timeframeButton) {
+                this.onTimeframe(wrapper, container, timeframeButton.dataset.timeframe);
+                return;
+            }
+            
+            const exportButton = event.target.closest('.export-btn');
+            if (exportButton) {
+                this.onExport(container, exportButton);
+            }
+        });
+        
+        const rangeForm = controls.querySelector('.zc-chart-range');
+        if (rangeForm) {
+            rangeForm.addEventListener('submit', event => {
+                event.preventDefault();
+                this.onDateRange(wrapper, container, rangeForm);
+            });
+        }
+        
+        const typeSelector = controls.querySelector('.chart-type-selector');
+        if (typeSelector) {
+            typeSelector.addEventListener('change', () => {
+                this.onChartType(container, typeSelector.value);
+            });
+        }
+    }
+    
+    /**
+     * Show a chart's timeframe and type in its controls
+     */
+    syncControls(wrapper, config) {
+        if (config.timeframe) {
+            this.setActiveTimeframe(wrapper, config.timeframe);
+        }
+        
+        const typeSelector = wrapper.querySelector('.chart-type-selector');
+        if (typeSelector && config.type) {
+            typeSelector.value = config.type;
+        }
+        
+        if (config.library && this.loader.renderers.has(config.library)) {
+            this.syncExportFormats(wrapper, config.library);
+        }
+    }
+    
+    /**
+     * Offer only the export formats the chart's renderer declares
+     * The export button is disabled when it declares none.
+     */
+    syncExportFormats(wrapper, library) {
+        const formatSelector = wrapper.querySelector('.export-format-selector');
+        if (!formatSelector) {
+            return;
+        }
+        
+        const options = Array.from(formatSelector.options);
+        options.forEach(option => {
+            const supported = this.loader.renderers.supports(library, 'exportFormats', option.value.split('@')[0]);
+            option.hidden = !supported;
+            option.disabled = !supported;
+        });
+        
+        const available = options.filter(option => !option.disabled);
+        if (available.length && formatSelector.selectedOptions[0] && formatSelector.selectedOptions[0].disabled) {
+            formatSelector.value = available[0].value;
+        }
+        
+        const exportButton = wrapper.querySelector('.export-btn');
+        if (exportButton) {
+            exportButton.disabled = !available.length;
+        }
+    }
+    
+    /**
+     * Apply a timeframe to the chart and update the active button
+     */
+    async onTimeframe(wrapper, container, timeframe) {
+        const chart = this.loader.getChart(container.id);
+        if (!chart || !chart.handler) {
+            return;
+        }
+        
+        chart.config.timeframe = timeframe;
+        this.setActiveTimeframe(wrapper, timeframe);
+        this.loader.saveUrlState(container.id);
+        
+        try {
+            await chart.handler.applyTimeframeFilter(timeframe);
+        } catch (error) {
+            console.error('Chart timeframe change failed:', error);
+        }
+    }
+    
+    /**
+     * Apply the dates entered in the date range picker
+     * A missing start or end leaves that side open; both missing shows all data
+     */
+    onDateRange(wrapper, container, form) {
+        let start = form.querySelector('.zc-chart-range-start').value;
+        let end = form.querySelector('.zc-chart-range-end').value;
+        
+        if (start && end && start > end) {
+            [start, end] = [end, start];
+        }
+        
+        this.onTimeframe(wrapper, container, start || end ? `${start}/${end}` : 'all');
+    }
+    
+    /**
+     * Reflect a zoom in the timeframe controls
+     * Resetting the zoom shows the chart's timeframe again
+     */
+    onZoom(wrapper, container, range) {
+        if (range.min === null || range.max === null) {
+            this.syncControls(wrapper, this.getConfig(container));
+            return;
+        }
+        
+        const date = time => new Date(time).toISOString().substring(0, 10);
+        this.setActiveTimeframe(wrapper, `${date(range.min)}/${date(range.max)}`);
+    }
+    
+    /**
+     * Change the chart type
+     */
+    onChartType(container, type) {
+        const chart = this.loader.getChart(container.id);
+        if (!chart || !chart.handler) {
+            return;
+        }
+        
+        if (!this.loader.renderers.supports(chart.config.library, 'types', type)) {
+            console.warn(`Chart type "${type}" is not supported by ${chart.config.library}`);
+            return;
+        }
+        
+        chart.handler.changeChartType(type);
+        chart.config.type = type;
+        this.loader.saveUrlState(container.id);
+    }
+    
+    /**
+     * Export the chart as a PNG, SVG or PDF image or its data as CSV, JSON or XLSX
+     * Image formats can carry a scale, e.g. "png@2x"
+     */
+    async onExport(container, button) {
+        const chart = this.loader.getChart(container.id);
+        if (!chart || !chart.handler) {
+            return;
+        }
+        
+        const formatSelector = button.closest('.zc-chart-controls').querySelector('.export-format-selector');
+        const [format, scale] = (formatSelector ? formatSelector.value : 'png').split('@');
+        const isImage = ['png', 'svg', 'pdf'].indexOf(format) !== -1;
+        
+        if (!this.loader.renderers.supports(chart.config.library, 'exportFormats', format)) {
+            console.warn(`Export as ${format} is not supported by ${chart.config.library}`);
+            return;
+        }
+        
+        button.disabled = true;
+        
+        try {
+            let file = null;
+            
+            if (isImage && typeof chart.handler.exportImage === 'function') {
+                file = await chart.handler.exportImage(format, scale ? { scale: parseFloat(scale) } : {});
+            } else if (format === 'png' && typeof chart.handler.exportAsImage === 'function') {
+                // Renderers without composed exports still provide the bare chart
+                const imageUrl = await chart.handler.exportAsImage('png');
+                const timeframe = String(chart.config.timeframe || 'all').replace(/[^\w-]+/g, '_');
+                this.download(imageUrl, `${chart.config.slug || 'chart'}-${timeframe}.png`);
+            } else if (!isImage && typeof chart.handler.exportData === 'function') {
+                file = await chart.handler.exportData(format);
+            } else {
+                console.warn(`Export as ${format} is not supported by ${chart.config.library}`);
+            }
+            
+            if (file) {
+                const url = URL.createObjectURL(file.blob);
+                this.download(url, file.filename);
+                
+                // Some browsers read the file only after the click returns, so the URL is kept a moment
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            }
+        } catch (error) {
+            console.error('Chart export failed:', error);
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * Mark the button for the given timeframe as active
+     * Date ranges are shown in the date range picker instead
+     */
+    setActiveTimeframe(wrapper, timeframe) {
+        wrapper.querySelectorAll('.timeframe-btn').forEach(button => {
+            const isActive = button.dataset.timeframe === timeframe;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+        
+        const rangeForm = wrapper.querySelector('.zc-chart-range');
+        if (rangeForm) {
+            const match = /^(?:since:(.*)|(.*)\/(.*))$/.exec(timeframe) || [];
+            rangeForm.querySelector('.zc-chart-range-start').value = match[1] || match[2] || '';
+            rangeForm.querySelector('.zc-chart-range-end').value = match[3] || '';
+            rangeForm.classList.toggle('active', match.length > 0);
+        }
+    }
+    
+    /**
+     * Read the chart configuration from the container
+     */
+    getConfig(container) {
+        const chart = this.loader.getChart(container.id);
+        if (chart) {
+            return chart.config;
+        }
+        
+        try {
+            return JSON.parse(container.dataset.config || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    /**
+     * Trigger a file download for a data URL
+     */
+    download(url, filename) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+}
+
+// Initialize chart controls once the loader is available
+document.addEventListener('DOMContentLoaded', function() {
+    if (typeof window.zcChartLoader !== 'undefined') {
+        window.zcChartControls = new ZCChartControls(window.zcChartLoader);
+    }
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCChartControls;
+}
\ No newline at end of file
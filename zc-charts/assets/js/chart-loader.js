@@ -9,9 +9,63 @@ class ZCChartLoader {
         this.config = {
             defaultLibrary: 'chartjs',
             apiTimeout: 15000,
-            retryAttempts: 2
+            retryAttempts: 2,
+            retryDelay: 1000,
+            cacheTtl: 300,
+            cacheStorage: 'memory',
+            lazyLoad: false,
+            lazyRootMargin: '200px 0px',
+            minRefreshInterval: 10,
+            recoveryInterval: 60,
+            fallbackLibrary: 'svg'
         };
         
+        // Charts waiting to scroll into view
+        this.lazyCharts = new Map();
+        this.lazyObserver = null;
+        
+        // Background refresh timers per chart
+        this.refreshTimers = new Map();
+        
+        // Pending theme update after a color scheme change
+        this.themeFrame = null;
+        
+        // Zoomed range per sync group, for charts that load later
+        this.syncZooms = new Map();
+        this.syncing = false;
+        
+        // Apply site settings
+        if (typeof zcChartsConfig !== 'undefined') {
+            if (zcChartsConfig.cacheTtl !== undefined) {
+                this.config.cacheTtl = parseInt(zcChartsConfig.cacheTtl, 10) || 0;
+            }
+            if (zcChartsConfig.cacheStorage) {
+                this.config.cacheStorage = zcChartsConfig.cacheStorage;
+            }
+            if (zcChartsConfig.fallbackLibrary !== undefined) {
+                // An empty value turns the fallback off
+                this.config.fallbackLibrary = zcChartsConfig.fallbackLibrary || null;
+            }
+            if (zcChartsConfig.lazyLoad !== undefined) {
+                this.config.lazyLoad = !!zcChartsConfig.lazyLoad;
+            }
+        }
+        
+        // Chart library handlers, registered by their own scripts
+        this.renderers = window.zcChartRenderers || new ZCRendererRegistry();
+        
+        // Indicator responses shared by every chart on the page
+        this.cache = new ZCSeriesCache({
+            ttl: this.config.cacheTtl,
+            storage: this.config.cacheStorage
+        });
+        
+        // Checks, loads and logs backup data when the live data fails
+        this.fallback = new ZCFallbackHandler();
+        
+        // Parses and transforms fetched data off the main thread when workers are available
+        this.pipeline = new ZCDataPipeline(typeof zcChartsConfig !== 'undefined' ? zcChartsConfig.workerUrl : null);
+        
         // Initialize when DOM is ready
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => this.init());
@@ -28,14 +82,91 @@ class ZCChartLoader {
         const chartContainers = document.querySelectorAll('.zc-chart-container[data-config]');
         
         chartContainers.forEach(container => {
+            let config;
             try {
-                const config = JSON.parse(container.dataset.config);
-                this.loadChart(container, config);
+                config = JSON.parse(container.dataset.config);
             } catch (error) {
                 console.error('Failed to parse chart configuration:', error);
-                this.renderError(container, 'Invalid chart configuration');
+                this.renderError(container, ZCI18n.text('invalidConfig'));
+                return;
+            }
+            
+            if (this.isLazy(config)) {
+                this.observeLazyChart(container, config);
+            } else {
+                this.loadChart(container, config);
             }
         });
+        
+        // Printed pages need every chart, including those never scrolled to
+        window.addEventListener('beforeprint', () => this.loadAllCharts());
+        
+        // Pause background refreshes while the tab is hidden
+        document.addEventListener('visibilitychange', () => this.onVisibilityChange());
+        
+        // Share hovered dates and zoomed ranges between charts in the same sync group
+        document.addEventListener('zc-chart:hover', event => this.syncCharts(event));
+        document.addEventListener('zc-chart:zoom', event => this.syncCharts(event));
+        
+        // Restyle charts when the color scheme or the body's dark class changes
+        if (typeof ZCThemes !== 'undefined') {
+            ZCThemes.watch(() => this.onThemeChange());
+        }
+    }
+    
+    /**
+     * Check if a chart should wait until it nears the viewport
+     */
+    isLazy(config) {
+        const lazy = config.lazy !== undefined ? config.lazy : this.config.lazyLoad;
+        return (lazy === true || lazy === 'true' || lazy === '1') && typeof IntersectionObserver !== 'undefined';
+    }
+    
+    /**
+     * Show a placeholder and load the chart once it nears the viewport
+     */
+    observeLazyChart(container, config) {
+        if (!container.id) {
+            container.id = 'zc-chart-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+        }
+        
+        if (!this.lazyObserver) {
+            this.lazyObserver = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.loadLazyChart(entry.target.id);
+                    }
+                });
+            }, {
+                rootMargin: this.config.lazyRootMargin
+            });
+        }
+        
+        this.showPlaceholder(container, config);
+        this.lazyCharts.set(container.id, { container, config });
+        this.lazyObserver.observe(container);
+    }
+    
+    /**
+     * Load a chart that was waiting to scroll into view
+     */
+    loadLazyChart(chartId) {
+        const pending = this.lazyCharts.get(chartId);
+        if (!pending) {
+            return Promise.resolve();
+        }
+        
+        this.lazyCharts.delete(chartId);
+        this.lazyObserver.unobserve(pending.container);
+        
+        return this.loadChart(pending.container, pending.config);
+    }
+    
+    /**
+     * Load every chart still waiting to scroll into view (e.g. before printing)
+     */
+    loadAllCharts() {
+        return Promise.all(Array.from(this.lazyCharts.keys()).map(chartId => this.loadLazyChart(chartId)));
     }
     
     /**
@@ -50,44 +181,80 @@ class ZCChartLoader {
         
         try {
             // Validate configuration
-            if (!config.slug) {
+            config.slugs = this.getSlugs(config);
+            if (config.slugs.length === 0) {
                 throw new Error('Indicator slug is required');
             }
+            config.slug = config.slugs[0];
+            
+            // Restore the view from a shared link
+            config = this.readUrlState(config);
             
             // Set default values
             config.library = config.library || this.config.defaultLibrary;
             config.timeframe = config.timeframe || '1y';
             config.height = config.height || '400px';
             
-            // Store chart instance
+            // Let integrations adjust the configuration
+            config = this.applyFilters('config', config, container);
+            
+            // Check the chart library before fetching any data
+            const rendererError = this.resolveRenderer(config);
+            if (rendererError) {
+                console.error('Chart library unavailable:', rendererError);
+                this.destroyHandler(chartId);
+                this.renderError(container, rendererError);
+                this.charts.set(chartId, {
+                    container: container,
+                    config: config,
+                    status: 'error',
+                    error: rendererError
+                });
+                this.dispatchChartEvent(container, 'error', { config, source: null, error: rendererError });
+                return;
+            }
+            
+            this.dispatchChartEvent(container, 'before-load', { config });
+            
+            // Store chart instance, keeping the handler of an earlier load until it is replaced
+            const previous = this.charts.get(chartId);
             this.charts.set(chartId, {
                 container: container,
                 config: config,
-                status: 'loading'
+                status: 'loading',
+                handler: previous ? previous.handler : null
             });
             
-            // Fetch data
-            const data = await this.fetchChartData(config);
+            // Fetch data and apply client-side transforms
+            const rawData = await this.fetchChartData(config);
+            const data = await this.prepareData(rawData, config);
             
             // Render chart
             await this.renderChart(container, data, config);
             
-            // Update chart status
+            // Update chart status, keeping the handler stored by renderChart
             this.charts.set(chartId, {
+                ...this.charts.get(chartId),
                 container: container,
                 config: config,
                 status: 'loaded',
-                data: data
+                data: data,
+                rawData: rawData,
+                updatedAt: Date.now()
             });
             
             // Hide loading
             this.hideLoading(container);
             
-            // Show fallback notice if needed
+            // Show fallback notice if needed, and remove one left from an earlier load
             if (data.source === 'backup') {
-                this.showFallbackNotice(container);
+                this.fallback.showFallbackNotice(container, data.last_backup);
+            } else {
+                this.fallback.hideFallbackNotice(container);
             }
             
+            this.dispatchChartEvent(container, 'loaded', { config, source: data.source, data });
+            
         } catch (error) {
             console.error('Chart loading failed:', error);
             
@@ -96,22 +263,30 @@ class ZCChartLoader {
             
             // Try fallback
             try {
-                const fallbackData = await this.fetchFallbackData(config);
+                const rawFallbackData = await this.fetchFallbackData(config, error);
+                const fallbackData = await this.prepareData(rawFallbackData, config);
                 await this.renderChart(container, fallbackData, config);
                 
-                // Show fallback notice
-                this.showFallbackNotice(container);
+                // Show fallback notice with the age of the backup
+                this.fallback.showFallbackNotice(container, rawFallbackData.last_backup);
                 
-                // Update chart status
+                // Update chart status, keeping the handler stored by renderChart
                 this.charts.set(chartId, {
+                    ...this.charts.get(chartId),
                     container: container,
                     config: config,
                     status: 'loaded-fallback',
-                    data: fallbackData
+                    data: fallbackData,
+                    rawData: rawFallbackData,
+                    updatedAt: Date.now()
                 });
+                
+                this.dispatchChartEvent(container, 'fallback', { config, source: 'backup', data: fallbackData, error: error.message });
             } catch (fallbackError) {
                 console.error('Fallback also failed:', fallbackError);
-                this.renderError(container, 'Live and backup data unavailable.');
+                this.destroyHandler(chartId);
+                this.renderError(container, ZCI18n.text('unavailable'));
+                this.fallback.hideFallbackNotice(container);
                 
                 // Update chart status
                 this.charts.set(chartId, {
@@ -120,8 +295,222 @@ class ZCChartLoader {
                     status: 'error',
                     error: fallbackError.message
                 });
+                
+                this.dispatchChartEvent(container, 'error', { config, source: null, error: fallbackError.message });
             }
         }
+        
+        // Keep the chart current when a refresh interval is configured, and retry live data after a fallback
+        this.scheduleRefresh(chartId);
+        this.showLastUpdated(chartId);
+    }
+    
+    /**
+     * Schedule the next background refresh of a chart
+     */
+    scheduleRefresh(chartId) {
+        const delay = this.getRefreshDelay(this.charts.get(chartId));
+        
+        this.cancelRefresh(chartId);
+        
+        if (!delay) {
+            return;
+        }
+        
+        // Hidden tabs are refreshed when they become visible again
+        if (document.hidden) {
+            return;
+        }
+        
+        this.refreshTimers.set(chartId, setTimeout(() => {
+            this.backgroundRefresh(chartId);
+        }, delay));
+    }
+    
+    /**
+     * Get the time between background refreshes of a chart in milliseconds, or 0 for none
+     * Charts showing backup data try the live data at least every recoveryInterval seconds.
+     */
+    getRefreshDelay(chartInstance) {
+        if (!chartInstance) {
+            return 0;
+        }
+        
+        let interval = parseInt(chartInstance.config.refresh, 10) || 0;
+        if (chartInstance.status === 'loaded-fallback') {
+            interval = interval > 0 ? Math.min(interval, this.config.recoveryInterval) : this.config.recoveryInterval;
+        }
+        
+        return interval > 0 ? Math.max(interval, this.config.minRefreshInterval) * 1000 : 0;
+    }
+    
+    /**
+     * Cancel a scheduled background refresh
+     */
+    cancelRefresh(chartId) {
+        if (this.refreshTimers.has(chartId)) {
+            clearTimeout(this.refreshTimers.get(chartId));
+            this.refreshTimers.delete(chartId);
+        }
+    }
+    
+    /**
+     * Re-apply the theme of every rendered chart, at most once per frame
+     */
+    onThemeChange() {
+        if (this.themeFrame) {
+            return;
+        }
+        
+        this.themeFrame = requestAnimationFrame(() => {
+            this.themeFrame = null;
+            this.charts.forEach(chartInstance => {
+                if (chartInstance.handler && typeof chartInstance.handler.applyTheme === 'function') {
+                    chartInstance.handler.applyTheme();
+                }
+            });
+        });
+    }
+    
+    /**
+     * Pause refreshing while the tab is hidden and catch up when it is shown again
+     */
+    onVisibilityChange() {
+        this.charts.forEach((chartInstance, chartId) => {
+            const interval = this.getRefreshDelay(chartInstance);
+            if (!interval) {
+                return;
+            }
+            
+            if (document.hidden) {
+                this.cancelRefresh(chartId);
+                return;
+            }
+            
+            if (Date.now() - (chartInstance.updatedAt || 0) >= interval) {
+                this.backgroundRefresh(chartId);
+            } else {
+                this.scheduleRefresh(chartId);
+            }
+        });
+    }
+    
+    /**
+     * Re-fetch chart data in the background and apply it without redrawing the chart
+     * A chart showing backup data is switched to the live data once it loads.
+     */
+    async backgroundRefresh(chartId) {
+        const chartInstance = this.charts.get(chartId);
+        if (!chartInstance) {
+            return;
+        }
+        
+        const { config, handler } = chartInstance;
+        const recovering = chartInstance.status === 'loaded-fallback';
+        
+        try {
+            // Skip the cache so the refresh reaches the DMT plugin
+            await Promise.all(this.getSlugs(config).map(slug => this.cache.invalidate(`data/${slug}`)));
+            
+            const rawData = await this.fetchChartData(config);
+            
+            if (!handler || chartInstance.status === 'error') {
+                // Nothing is drawn yet; render normally
+                const data = await this.prepareData(rawData, config);
+                await this.renderChart(chartInstance.container, data, config);
+                chartInstance.data = data;
+            } else if (recovering || this.hasNewData(chartInstance.rawData, rawData)) {
+                // Apply the new points through the existing handler, keeping the range the reader zoomed to
+                const data = await this.prepareData(rawData, config);
+                const range = handler.visibleRange;
+                handler.data = data;
+                await handler.applyTimeframeFilter(config.timeframe || 'all');
+                if (range && typeof handler.setZoom === 'function') {
+                    await handler.setZoom(range.min, range.max);
+                }
+                chartInstance.data = data;
+            }
+            
+            chartInstance.rawData = rawData;
+            chartInstance.status = 'loaded';
+            chartInstance.updatedAt = Date.now();
+            this.fallback.hideFallbackNotice(chartInstance.container);
+            this.showLastUpdated(chartId);
+            
+            this.dispatchChartEvent(chartInstance.container, 'updated', { config, source: 'live', data: chartInstance.data });
+        } catch (error) {
+            // Keep showing the current data and try again on the next interval
+            console.warn('Background chart refresh failed:', error);
+        }
+        
+        this.scheduleRefresh(chartId);
+    }
+    
+    /**
+     * Check if a response contains observations the chart does not have yet
+     */
+    hasNewData(previous, next) {
+        if (!previous || !previous.series || !next || !next.series) {
+            return true;
+        }
+        
+        if (previous.series.length !== next.series.length) {
+            return true;
+        }
+        
+        return next.series.some((item, index) => {
+            const before = previous.series[index].data || [];
+            const after = item.data || [];
+            
+            if (before.length !== after.length) {
+                return true;
+            }
+            
+            const last = after[after.length - 1];
+            const previousLast = before[before.length - 1];
+            
+            return !!last && (!previousLast || last.obs_date !== previousLast.obs_date || String(last.value) !== String(previousLast.value));
+        });
+    }
+    
+    /**
+     * Show when a refreshing chart last received data
+     */
+    showLastUpdated(chartId) {
+        const chartInstance = this.charts.get(chartId);
+        if (!chartInstance || !chartInstance.config.refresh || !chartInstance.updatedAt) {
+            return;
+        }
+        
+        const container = chartInstance.container;
+        let element = container.parentNode.querySelector(`.zc-chart-updated[data-chart-id="${chartId}"]`);
+        
+        if (!element) {
+            element = document.createElement('div');
+            element.className = 'zc-chart-updated';
+            element.dataset.chartId = chartId;
+            element.setAttribute('aria-live', 'polite');
+            container.parentNode.insertBefore(element, container.nextSibling);
+        }
+        
+        const updatedAt = new Date(chartInstance.updatedAt);
+        element.textContent = ZCI18n.text('lastUpdated', updatedAt.toLocaleTimeString(ZCI18n.getLocale()));
+    }
+    
+    /**
+     * Get the list of indicator slugs for a chart
+     * Accepts config.slugs (array or comma-separated string) or config.slug
+     */
+    getSlugs(config) {
+        let slugs = config.slugs || config.slug || [];
+        
+        if (typeof slugs === 'string') {
+            slugs = slugs.split(',');
+        }
+        
+        return slugs
+            .map(slug => String(slug).trim())
+            .filter((slug, index, list) => slug !== '' && list.indexOf(slug) === index);
     }
     
     /**
@@ -133,71 +522,172 @@ class ZCChartLoader {
             throw new Error('API key not configured');
         }
         
-        const url = `${zcChartsConfig.restUrl}zc-dmt/v1/data/${config.slug}?access_key=${apiKey}`;
-        
-        const response = await this.fetchWithRetry(url, {
-            method: 'GET',
-            timeout: this.config.apiTimeout
-        }, this.config.retryAttempts);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+        const slugs = this.getSlugs(config);
         
-        const data = await response.json();
+        // Fetch all indicators in parallel
+        const results = await Promise.all(slugs.map(slug => {
+            return this.fetchIndicatorData(`data/${slug}`, apiKey);
+        }));
         
-        return {
-            ...data,
-            source: 'live'
-        };
+        return this.combineSeries(slugs, results, 'live');
     }
     
     /**
      * Fetch fallback data from DMT plugin
+     * Each backup is checked for and loaded by the fallback handler, and cached like live responses.
+     * The result's last_backup is the time of the oldest backup.
      */
-    async fetchFallbackData(config) {
+    async fetchFallbackData(config, error = null) {
         const apiKey = this.getApiKey();
         if (!apiKey) {
             throw new Error('API key not configured');
         }
         
-        const url = `${zcChartsConfig.restUrl}zc-dmt/v1/backup/${config.slug}?access_key=${apiKey}`;
+        const slugs = this.getSlugs(config);
         
-        const response = await this.fetchWithRetry(url, {
-            method: 'GET',
-            timeout: this.config.apiTimeout
-        }, this.config.retryAttempts);
+        // Fetch all indicator backups in parallel
+        const results = await Promise.all(slugs.map(slug => {
+            return this.cache.get(`backup/${slug}`, () => this.fallback.handleFallback(slug, apiKey, error ? error.message : ''));
+        }));
         
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+        const oldest = results
+            .map(result => result.last_backup)
+            .filter(time => time && isFinite(new Date(time).getTime()))
+            .sort((a, b) => new Date(a).getTime() - new Date(b).getTime())[0];
         
-        const data = await response.json();
+        return {
+            ...this.combineSeries(slugs, results, 'backup'),
+            last_backup: oldest || null
+        };
+    }
+    
+    /**
+     * Fetch a single indicator response from a DMT route
+     * Responses are cached per route and concurrent requests share one fetch
+     */
+    fetchIndicatorData(route, apiKey) {
+        return this.cache.get(route, async () => {
+            const url = `${zcChartsConfig.restUrl}zc-dmt/v1/${route}?access_key=${apiKey}`;
+            
+            const response = await this.fetchWithRetry(url, {
+                method: 'GET',
+                timeout: this.config.apiTimeout
+            }, this.config.retryAttempts);
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            return response.json();
+        });
+    }
+    
+    /**
+     * Combine indicator responses into one chart data object
+     * The first indicator is kept at the top level for single-series consumers
+     */
+    combineSeries(slugs, results, source) {
+        const series = results.map((result, index) => ({
+            slug: slugs[index],
+            indicator: result && result.indicator ? result.indicator : { name: slugs[index] },
+            data: result && Array.isArray(result.data) ? result.data : []
+        }));
         
         return {
-            ...data,
-            source: 'backup'
+            ...results[0],
+            indicator: series[0].indicator,
+            data: series[0].data,
+            series: series,
+            source: source
         };
     }
     
+    /**
+     * Turn fetched data into the data a chart renders
+     * Parsing, sorting, resampling and the configured transform run in the data worker,
+     * then the "data" filters are applied
+     */
+    async prepareData(rawData, config) {
+        const data = await this.pipeline.run('prepare', rawData, {
+            frequency: config.frequency,
+            aggregation: config.aggregation,
+            transform: config.transform
+        });
+        
+        return this.applyFilters('data', data, config);
+    }
+    
+    /**
+     * Make sure the configured library is registered and loaded
+     * Switches config.library to the fallback library when one is configured and available.
+     * Returns an error message, or null when the chart can be rendered.
+     */
+    resolveRenderer(config) {
+        const library = config.library;
+        let problem = null;
+        
+        if (!this.renderers.has(library)) {
+            problem = ZCI18n.text('unknownLibrary', library, this.renderers.list().join(', '));
+        } else if (!this.renderers.isAvailable(library)) {
+            problem = ZCI18n.text('libraryFailed', this.renderers.get(library).label);
+        }
+        
+        if (!problem) {
+            return null;
+        }
+        
+        const fallback = config.fallbackLibrary || this.config.fallbackLibrary;
+        if (fallback && fallback !== library && this.renderers.isAvailable(fallback)) {
+            console.warn(`${problem} Rendering with "${fallback}" instead.`);
+            config.library = fallback;
+            return null;
+        }
+        
+        return problem;
+    }
+    
+    /**
+     * Destroy the handler drawing a chart, if any
+     */
+    destroyHandler(chartId) {
+        const chartInstance = this.charts.get(chartId);
+        if (chartInstance && chartInstance.handler && typeof chartInstance.handler.destroy === 'function') {
+            chartInstance.handler.destroy();
+            chartInstance.handler = null;
+        }
+    }
+    
     /**
      * Render chart with the appropriate library handler
      */
     async renderChart(container, data, config) {
+        // Destroy the previous handler before replacing it
+        this.destroyHandler(container.id);
+        
         // Clear container
         container.innerHTML = '';
         
         // Get chart library handler
-        let handler;
-        if (config.library === 'highcharts') {
-            handler = new ZCHighchartsHandler(container, data, config);
-        } else {
-            handler = new ZCChartJSHandler(container, data, config);
+        const renderer = this.renderers.get(config.library);
+        if (!renderer) {
+            throw new Error(`Chart library "${config.library}" is not registered`);
         }
+        const handler = new renderer.handler(container, data, config);
+        
+        // Filter and downsample in the data worker too
+        handler.pipeline = this.pipeline;
         
         // Render the chart
         await handler.render();
         
+        // Apply the initial view selected by the configuration or controls
+        if (config.timeframe && config.timeframe !== 'all') {
+            await handler.applyTimeframeFilter(config.timeframe);
+        }
+        if (config.type && config.type !== 'line' && this.renderers.supports(config.library, 'types', config.type)) {
+            handler.changeChartType(config.type);
+        }
+        
         // Store handler reference
         const chartId = container.id;
         const chartInstance = this.charts.get(chartId);
@@ -205,6 +695,69 @@ class ZCChartLoader {
             chartInstance.handler = handler;
             this.charts.set(chartId, chartInstance);
         }
+        
+        // Join the range the other charts in the sync group are zoomed to
+        const zoom = config.sync ? this.syncZooms.get(config.sync) : null;
+        if (zoom && typeof handler.setZoom === 'function') {
+            this.syncing = true;
+            try {
+                handler.setZoom(zoom.min, zoom.max);
+            } finally {
+                this.syncing = false;
+            }
+        }
+    }
+    
+    /**
+     * Pass a chart's hovered date or zoomed range on to the other charts in its sync group
+     */
+    syncCharts(event) {
+        const sourceId = event.target.id;
+        const source = this.charts.get(sourceId);
+        const group = source && source.config.sync;
+        if (!group || this.syncing) {
+            return;
+        }
+        
+        const detail = event.detail || {};
+        const zoom = event.type === 'zc-chart:zoom';
+        if (zoom) {
+            const previous = this.syncZooms.get(group);
+            const zoomed = detail.min !== null && detail.max !== null;
+            if (zoomed ? previous && previous.min === detail.min && previous.max === detail.max : !previous) {
+                return;
+            }
+            
+            if (zoomed) {
+                this.syncZooms.set(group, { min: detail.min, max: detail.max });
+            } else {
+                this.syncZooms.delete(group);
+            }
+        }
+        
+        this.syncing = true;
+        try {
+            this.charts.forEach((chartInstance, chartId) => {
+                const handler = chartInstance.handler;
+                if (chartId === sourceId || !handler || chartInstance.config.sync !== group) {
+                    return;
+                }
+                
+                if (zoom) {
+                    if (typeof handler.setZoom === 'function') {
+                        handler.setZoom(detail.min, detail.max);
+                    }
+                } else if (detail.time === null || detail.time === undefined) {
+                    if (typeof handler.hideCrosshair === 'function') {
+                        handler.hideCrosshair();
+                    }
+                } else if (typeof handler.showCrosshair === 'function') {
+                    handler.showCrosshair(detail.time);
+                }
+            });
+        } finally {
+            this.syncing = false;
+        }
     }
     
     /**
@@ -214,11 +767,24 @@ class ZCChartLoader {
         container.innerHTML = `
             <div class="zc-chart-loading">
                 <div class="zc-chart-loading-spinner"></div>
-                <p>Loading chart data...</p>
+                <p>${ZCI18n.text('loading')}</p>
             </div>
         `;
     }
     
+    /**
+     * Show a lightweight placeholder for a chart that has not loaded yet
+     */
+    showPlaceholder(container, config) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'zc-chart-lazy-placeholder';
+        placeholder.style.height = config.height || '400px';
+        placeholder.setAttribute('aria-hidden', 'true');
+        
+        container.innerHTML = '';
+        container.appendChild(placeholder);
+    }
+    
     /**
      * Hide loading state
      */
@@ -229,16 +795,6 @@ class ZCChartLoader {
         }
     }
     
-    /**
-     * Show fallback notice
-     */
-    showFallbackNotice(container) {
-        const notice = document.createElement('div');
-        notice.className = 'zc-chart-notice';
-        notice.textContent = 'Displaying cached data';
-        container.parentNode.insertBefore(notice, container.nextSibling);
-    }
-    
     /**
      * Render error message
      */
@@ -246,10 +802,13 @@ class ZCChartLoader {
         container.innerHTML = `
             <div class="zc-chart-error">
                 <div class="error-icon">⚠️</div>
-                <div class="error-message">${message}</div>
-                <div class="error-details">Please check your configuration and try again.</div>
+                <div class="error-message"></div>
+                <div class="error-details">${ZCI18n.text('errorDetails')}</div>
             </div>
         `;
+        
+        // The message can name the shortcode's library, so it is set as text
+        container.querySelector('.error-message').textContent = message;
     }
     
     /**
@@ -282,7 +841,7 @@ class ZCChartLoader {
                 }
                 
                 // Wait before retry (exponential backoff)
-                await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
+                await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * this.config.retryDelay));
             }
         }
     }
@@ -304,10 +863,89 @@ class ZCChartLoader {
         await this.loadChart(container, updatedConfig);
     }
     
+    /**
+     * Change the transform of a chart without fetching its data again
+     */
+    async setTransform(chartId, transform) {
+        const chartInstance = this.charts.get(chartId);
+        if (!chartInstance || !chartInstance.rawData) {
+            console.error('Chart not found:', chartId);
+            return;
+        }
+        
+        chartInstance.config.transform = transform;
+        this.saveUrlState(chartId);
+        
+        const data = await this.prepareData(chartInstance.rawData, chartInstance.config);
+        await this.renderChart(chartInstance.container, data, chartInstance.config);
+        chartInstance.data = data;
+    }
+    
+    /**
+     * Apply the range, type and transform stored in the page URL
+     * Only for charts with a "urlState" key; parameters are named after it, e.g. gdp_range=5y
+     */
+    readUrlState(config) {
+        if (!config.urlState) {
+            return config;
+        }
+        
+        const params = new URLSearchParams(window.location.search);
+        const state = { ...config };
+        const range = params.get(`${config.urlState}_range`);
+        const type = params.get(`${config.urlState}_type`);
+        
+        if (range && ZCDataPipeline.getTimeframeRange(range)) {
+            state.timeframe = range;
+        }
+        if (type && /^[a-z]+$/.test(type)) {
+            state.type = type;
+        }
+        if (params.has(`${config.urlState}_transform`)) {
+            const transform = params.get(`${config.urlState}_transform`);
+            if (ZCDataTransforms.isValid(transform)) {
+                state.transform = transform;
+            }
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Store a chart's range, type and transform in the page URL, so a copied link opens the same view
+     * Replaces the current history entry rather than adding one per change
+     */
+    saveUrlState(chartId) {
+        const chartInstance = this.charts.get(chartId);
+        if (!chartInstance || !chartInstance.config.urlState || !window.history || !window.history.replaceState) {
+            return;
+        }
+        
+        const { config } = chartInstance;
+        const url = new URL(window.location.href);
+        const state = {
+            range: config.timeframe,
+            type: config.type,
+            transform: config.transform
+        };
+        
+        Object.keys(state).forEach(name => {
+            const param = `${config.urlState}_${name}`;
+            if (state[name]) {
+                url.searchParams.set(param, state[name]);
+            } else {
+                url.searchParams.delete(param);
+            }
+        });
+        
+        window.history.replaceState(window.history.state, '', url.toString());
+    }
+    
     /**
      * Refresh chart data
+     * Cached responses are reused until they expire unless force is set
      */
-    async refreshChart(chartId) {
+    async refreshChart(chartId, force = false) {
         const chartInstance = this.charts.get(chartId);
         if (!chartInstance) {
             console.error('Chart not found:', chartId);
@@ -316,6 +954,13 @@ class ZCChartLoader {
         
         const { container, config } = chartInstance;
         
+        if (force) {
+            await Promise.all(this.getSlugs(config).map(slug => Promise.all([
+                this.cache.invalidate(`data/${slug}`),
+                this.cache.invalidate(`backup/${slug}`)
+            ])));
+        }
+        
         // Reload chart with same configuration
         await this.loadChart(container, config);
     }
@@ -329,6 +974,9 @@ class ZCChartLoader {
             return;
         }
         
+        // Stop background refreshes
+        this.cancelRefresh(chartId);
+        
         // Destroy chart if handler has destroy method
         if (chartInstance.handler && typeof chartInstance.handler.destroy === 'function') {
             chartInstance.handler.destroy();
@@ -337,9 +985,78 @@ class ZCChartLoader {
         // Remove from map
         this.charts.delete(chartId);
         
+        if (chartInstance.container) {
+            this.dispatchChartEvent(chartInstance.container, 'destroyed', { config: chartInstance.config });
+        }
+        
         // Clear container
         if (chartInstance.container) {
             chartInstance.container.innerHTML = '';
+            
+            const updated = chartInstance.container.parentNode &&
+                chartInstance.container.parentNode.querySelector(`.zc-chart-updated[data-chart-id="${chartId}"]`);
+            if (updated) {
+                updated.remove();
+            }
+            this.fallback.hideFallbackNotice(chartInstance.container);
+        }
+    }
+    
+    /**
+     * Dispatch a lifecycle event on the chart container
+     * Events bubble, so integrations can listen on document for "zc-chart:loaded" etc.
+     */
+    dispatchChartEvent(container, name, detail = {}) {
+        const chartInstance = this.charts.get(container.id);
+        
+        container.dispatchEvent(new CustomEvent(`zc-chart:${name}`, {
+            bubbles: true,
+            detail: {
+                chartId: container.id,
+                config: detail.config || (chartInstance ? chartInstance.config : null),
+                source: detail.source !== undefined ? detail.source : (chartInstance && chartInstance.data ? chartInstance.data.source : null),
+                ...detail
+            }
+        }));
+    }
+    
+    /**
+     * Run a value through the filters registered for a hook
+     */
+    applyFilters(name, value, ...args) {
+        const callbacks = ZCChartLoader.filters[name] || [];
+        
+        return callbacks.reduce((current, filter) => {
+            try {
+                const result = filter.callback(current, ...args);
+                return result === undefined ? current : result;
+            } catch (error) {
+                console.error(`Chart filter "${name}" failed:`, error);
+                return current;
+            }
+        }, value);
+    }
+    
+    /**
+     * Register a filter that can change a value before rendering
+     * Available hooks: "config" (config, container) and "data" (data, config).
+     * Filters run in ascending priority and can be added before the loader initializes.
+     */
+    static addFilter(name, callback, priority = 10) {
+        if (!ZCChartLoader.filters[name]) {
+            ZCChartLoader.filters[name] = [];
+        }
+        
+        ZCChartLoader.filters[name].push({ callback, priority });
+        ZCChartLoader.filters[name].sort((a, b) => a.priority - b.priority);
+    }
+    
+    /**
+     * Remove a previously registered filter
+     */
+    static removeFilter(name, callback) {
+        if (ZCChartLoader.filters[name]) {
+            ZCChartLoader.filters[name] = ZCChartLoader.filters[name].filter(filter => filter.callback !== callback);
         }
     }
     
@@ -361,6 +1078,9 @@ class ZCChartLoader {
     }
 }
 
+// Filters registered through ZCChartLoader.addFilter()
+ZCChartLoader.filters = {};
+
 // Initialize chart loader when script is loaded
 document.addEventListener('DOMContentLoaded', function() {
     window.zcChartLoader = new ZCChartLoader();
@@ -3,26 +3,40 @@
  * Handles rendering charts using Chart.js library
  */
 
-class ZCChartJSHandler {
+class ZCChartJSHandler extends ZCBaseHandler {
     constructor(container, data, config) {
-        this.container = container;
-        this.data = data;
-        this.config = config;
-        this.chartInstance = null;
+        super(container, data, config);
+        
+        // Zoom controls, added by render
+        this.plot = null;
+        this.navigator = null;
+        this.resetButton = null;
+        this.selection = null;
+        this.gesture = null;
+        this.pointers = new Map();
+        
+        // Timestamps of each set of date labels, see getLabelTimes()
+        this.labelTimes = new WeakMap();
     }
     
     /**
      * Render chart using Chart.js
      */
     async render() {
+        // Downsample in the data pipeline before drawing
+        await this.prepareDrawnSeries();
+        
         // Destroy existing chart if it exists
         if (this.chartInstance) {
             this.chartInstance.destroy();
         }
         
+        this.theme = ZCThemes.resolve(this.container, this.config);
+        
         // Get canvas context
         const canvas = document.createElement('canvas');
-        this.container.appendChild(canvas);
+        this.plot = this.createPlot();
+        this.plot.appendChild(canvas);
         const ctx = canvas.getContext('2d');
         
         // Prepare chart data
@@ -35,54 +49,124 @@ class ZCChartJSHandler {
         this.chartInstance = new Chart(ctx, {
             type: 'line',
             data: chartData,
-            options: chartOptions
+            options: chartOptions,
+            plugins: [this.getBackgroundPlugin(), this.getAnnotationPlugin(), this.getCrosshairPlugin()]
         });
         
-        // Add resize listener
-        this.addResizeListener();
+        // Add zooming and panning, and the navigator strip when configured
+        this.addZoomControls(canvas);
+        if (this.hasNavigator()) {
+            this.navigator = this.navigator || new ZCNavigator(this);
+        }
+        this.updateZoomControls();
+        
+        // Add the text summary and keyboard navigation
+        this.accessibility = this.accessibility || new ZCAccessibility(this);
+        this.accessibility.update();
+        
+        // Resize with the container
+        this.addResizeListener(() => {
+            if (this.chartInstance) {
+                this.chartInstance.resize();
+                this.updateZoomControls();
+            }
+        });
+    }
+    
+    /**
+     * Get the element to draw the chart in
+     * With the navigator, the chart gets its own box above the strip
+     */
+    createPlot() {
+        if (!this.hasNavigator()) {
+            return this.container;
+        }
+        
+        const plot = document.createElement('div');
+        plot.className = 'zc-chart-plot';
+        this.container.classList.add('zc-chart-has-navigator');
+        this.container.appendChild(plot);
+        
+        return plot;
+    }
+    
+    /**
+     * Check if the chart shows the navigator strip
+     */
+    hasNavigator() {
+        const navigator = this.config.navigator;
+        return navigator === true || navigator === 'true' || navigator === '1';
     }
     
     /**
      * Prepare chart data for Chart.js
+     * All series share one date axis; missing observations are left as gaps.
+     * Only the zoomed-in range is drawn when there is one, and long series are downsampled
+     * to about the chart's width.
      */
-    prepareChartData() {
-        const labels = [];
-        const values = [];
+    prepareChartData(data = this.currentData) {
+        const range = this.visibleRange;
+        const series = this.getDrawnSeries(data, this.getPointLimit(), range).map(item => range ? {
+            ...item,
+            points: item.points.filter(point => point.time >= range.min && point.time <= range.max)
+        } : item);
         
-        if (this.data && this.data.data && Array.isArray(this.data.data)) {
-            // Sort data by date
-            const sortedData = this.data.data.sort((a, b) => {
-                return new Date(a.obs_date) - new Date(b.obs_date);
-            });
-            
-            sortedData.forEach(point => {
-                if (point.obs_date && point.value !== undefined) {
-                    labels.push(point.obs_date);
-                    values.push(parseFloat(point.value));
+        // Build the shared date axis from every series, parsing each date once
+        const times = new Map();
+        series.forEach(item => {
+            item.points.forEach(point => {
+                if (!times.has(point.obs_date)) {
+                    times.set(point.obs_date, point.time !== undefined ? point.time : new Date(point.obs_date).getTime());
                 }
             });
-        }
+        });
+        const labels = Array.from(times.keys()).sort((a, b) => times.get(a) - times.get(b));
         
-        return {
-            labels: labels,
-            datasets: [{
-                label: this.data && this.data.indicator ? this.data.indicator.name : 'Indicator',
-                data: values,
-                borderColor: '#0073aa',
-                backgroundColor: 'rgba(0, 115, 170, 0.1)',
+        const datasets = series.map((item, index) => {
+            const valuesByDate = new Map(item.points.map(point => [point.obs_date, point.value]));
+            const color = this.getSeriesColor(index);
+            
+            return {
+                label: item.name,
+                data: labels.map(date => valuesByDate.has(date) ? valuesByDate.get(date) : null),
+                borderColor: color,
+                backgroundColor: this.hexToRgba(color, 0.1),
                 fill: false,
                 tension: 0.4,
+                spanGaps: true,
+                yAxisID: item.axis === 'right' ? 'y1' : 'y',
                 pointRadius: 0,
                 pointHoverRadius: 6
-            }]
+            };
+        });
+        
+        return {
+            labels: labels,
+            datasets: datasets
         };
     }
     
+    /**
+     * Convert a hex color to an rgba() string
+     * Colors in other formats (e.g. from CSS custom properties) are returned unchanged
+     */
+    hexToRgba(hex, alpha) {
+        if (!/^#[0-9a-f]{6}$/i.test(hex)) {
+            return hex;
+        }
+        
+        const value = parseInt(hex.replace('#', ''), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+    
     /**
      * Prepare chart options for Chart.js
      */
     prepareChartOptions() {
-        return {
+        const series = this.getSeriesList();
+        const frequencies = ZCI18n.getFrequencies(this.getSeriesList(this.currentData));
+        
+        const options = {
             responsive: true,
             maintainAspectRatio: false,
             plugins: {
@@ -90,17 +174,21 @@ class ZCChartJSHandler {
                     display: true,
                     position: 'top',
                     labels: {
-                        color: this.isDarkMode() ? '#ffffff' : '#000000'
+                        color: this.theme.text
                     }
                 },
                 tooltip: {
                     mode: 'index',
                     intersect: false,
-                    backgroundColor: this.isDarkMode() ? 'rgba(30, 30, 30, 0.9)' : 'rgba(0, 0, 0, 0.8)',
-                    titleColor: this.isDarkMode() ? '#ffffff' : '#ffffff',
-                    bodyColor: this.isDarkMode() ? '#cccccc' : '#ffffff',
-                    borderColor: this.isDarkMode() ? '#555555' : '#cccccc',
-                    borderWidth: 1
+                    backgroundColor: this.theme.tooltipBackground,
+                    titleColor: this.theme.tooltipText,
+                    bodyColor: this.theme.tooltipText,
+                    borderColor: this.theme.tooltipBorder,
+                    borderWidth: 1,
+                    callbacks: {
+                        title: items => items.length ? ZCI18n.formatDate(items[0].label, frequencies.data) : '',
+                        label: item => `${item.dataset.label}: ${ZCI18n.formatValue(item.parsed.y, series[item.datasetIndex] || {})}`
+                    }
                 }
             },
             scales: {
@@ -108,29 +196,33 @@ class ZCChartJSHandler {
                     display: true,
                     title: {
                         display: true,
-                        text: 'Date',
-                        color: this.isDarkMode() ? '#cccccc' : '#666666'
+                        text: ZCI18n.text('date'),
+                        color: this.theme.mutedText
                     },
                     grid: {
-                        color: this.isDarkMode() ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+                        color: this.theme.grid
                     },
                     ticks: {
-                        color: this.isDarkMode() ? '#cccccc' : '#666666'
+                        color: this.theme.mutedText,
+                        // Category tick values are label indexes
+                        callback: function(value) {
+                            return ZCI18n.formatDate(this.getLabelForValue(value), frequencies.labels);
+                        }
                     }
                 },
                 y: {
                     display: true,
                     title: {
                         display: true,
-                        text: this.data && this.data.indicator && this.data.indicator.units ? 
-                              this.data.indicator.units : 'Value',
-                        color: this.isDarkMode() ? '#cccccc' : '#666666'
+                        text: this.getAxisTitle(series, 'left'),
+                        color: this.theme.mutedText
                     },
                     grid: {
-                        color: this.isDarkMode() ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+                        color: this.theme.grid
                     },
                     ticks: {
-                        color: this.isDarkMode() ? '#cccccc' : '#666666'
+                        color: this.theme.mutedText,
+                        callback: value => ZCI18n.formatTick(value, this.getAxisUnits(series, 'left'))
                     }
                 }
             },
@@ -139,61 +231,496 @@ class ZCChartJSHandler {
                 axis: 'x',
                 intersect: false
             },
-            animation: {
+            // Share the hovered date with charts in the same sync group
+            onHover: (event, elements, chart) => {
+                const label = elements.length ? chart.data.labels[elements[0].index] : null;
+                this.setHoverTime(label === null ? null : new Date(label).getTime());
+            },
+            animation: ZCAccessibility.prefersReducedMotion() ? false : {
                 duration: 750
             }
         };
+        
+        // Add a right-hand axis, scaled independently, when any series uses it
+        if (series.some(item => item.axis === 'right')) {
+            options.scales.y1 = {
+                display: true,
+                position: 'right',
+                title: {
+                    display: true,
+                    text: this.getAxisTitle(series, 'right'),
+                    color: this.theme.mutedText
+                },
+                grid: {
+                    drawOnChartArea: false
+                },
+                ticks: {
+                    color: this.theme.mutedText,
+                    callback: value => ZCI18n.formatTick(value, this.getAxisUnits(series, 'right'))
+                }
+            };
+        }
+        
+        // Extend the y-axes so reference lines stay in view
+        ZCAnnotations.ofType(this.annotations, 'line').forEach(line => {
+            const scale = options.scales[line.axis === 'right' && options.scales.y1 ? 'y1' : 'y'];
+            scale.suggestedMin = scale.suggestedMin === undefined ? line.value : Math.min(scale.suggestedMin, line.value);
+            scale.suggestedMax = scale.suggestedMax === undefined ? line.value : Math.max(scale.suggestedMax, line.value);
+        });
+        
+        return options;
     }
     
     /**
-     * Add resize listener to handle responsive behavior
+     * Get the inline Chart.js plugin that fills the canvas with the theme background
      */
-    addResizeListener() {
-        const resizeObserver = new ResizeObserver(entries => {
-            if (this.chartInstance) {
-                this.chartInstance.resize();
+    getBackgroundPlugin() {
+        return {
+            id: 'zcBackground',
+            beforeDraw: chart => {
+                chart.ctx.save();
+                chart.ctx.fillStyle = this.theme.background;
+                chart.ctx.fillRect(0, 0, chart.width, chart.height);
+                chart.ctx.restore();
+            }
+        };
+    }
+    
+    /**
+     * Get the inline Chart.js plugin that draws the annotations
+     * Ranges are drawn behind the datasets, event markers and reference lines in front
+     */
+    getAnnotationPlugin() {
+        return {
+            id: 'zcAnnotations',
+            beforeDatasetsDraw: chart => this.drawRanges(chart),
+            afterDatasetsDraw: chart => this.drawMarkers(chart)
+        };
+    }
+    
+    /**
+     * Get the inline Chart.js plugin that draws a vertical line at the date in the tooltip
+     */
+    getCrosshairPlugin() {
+        return {
+            id: 'zcCrosshair',
+            afterDatasetsDraw: chart => {
+                const active = chart.tooltip ? chart.tooltip.getActiveElements() : [];
+                if (!active.length) {
+                    return;
+                }
+                
+                const x = chart.getDatasetMeta(active[0].datasetIndex).data[active[0].index].x;
+                const { ctx, chartArea } = chart;
+                ctx.save();
+                ctx.strokeStyle = this.theme.axis;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+                ctx.stroke();
+                ctx.restore();
+            }
+        };
+    }
+    
+    /**
+     * Draw shaded date ranges
+     */
+    drawRanges(chart) {
+        const ranges = ZCAnnotations.ofType(this.annotations, 'range');
+        const times = this.getLabelTimes(chart);
+        if (!ranges.length || !times.length) {
+            return;
+        }
+        
+        const first = times[0];
+        const last = times[times.length - 1];
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        
+        ranges.forEach(range => {
+            // Skip ranges outside the visible dates
+            if (range.to < first || range.from > last) {
+                return;
+            }
+            
+            const left = this.getPixelForTime(chart, range.from, true);
+            const right = this.getPixelForTime(chart, range.to, true);
+            if (left === null || right === null) {
+                return;
+            }
+            
+            ctx.fillStyle = range.color;
+            ctx.fillRect(left, chartArea.top, Math.max(right - left, 1), chartArea.bottom - chartArea.top);
+            
+            if (range.label) {
+                ctx.fillStyle = this.theme.mutedText;
+                ctx.fillText(range.label, left + 4, chartArea.top + 4);
             }
         });
         
-        resizeObserver.observe(this.container);
+        ctx.restore();
+    }
+    
+    /**
+     * Draw event markers and reference lines
+     */
+    drawMarkers(chart) {
+        const events = ZCAnnotations.ofType(this.annotations, 'event');
+        const lines = ZCAnnotations.ofType(this.annotations, 'line');
+        if (!events.length && !lines.length) {
+            return;
+        }
+        
+        const { ctx, chartArea } = chart;
+        const textColor = this.theme.mutedText;
+        ctx.save();
+        ctx.font = '11px sans-serif';
+        ctx.lineWidth = 1;
+        
+        events.forEach(event => {
+            const x = this.getPixelForTime(chart, event.date, false);
+            if (x === null) {
+                return;
+            }
+            
+            ctx.strokeStyle = event.color;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            
+            if (event.label) {
+                ctx.fillStyle = textColor;
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'top';
+                ctx.fillText(event.label, x + 4, chartArea.top + 18);
+            }
+        });
+        
+        lines.forEach(line => {
+            const scale = chart.scales[line.axis === 'right' && chart.scales.y1 ? 'y1' : 'y'];
+            const y = scale.getPixelForValue(line.value);
+            if (y < chartArea.top || y > chartArea.bottom) {
+                return;
+            }
+            
+            ctx.strokeStyle = line.color;
+            ctx.setLineDash([6, 3]);
+            ctx.beginPath();
+            ctx.moveTo(chartArea.left, y);
+            ctx.lineTo(chartArea.right, y);
+            ctx.stroke();
+            
+            if (line.label) {
+                ctx.fillStyle = line.color;
+                ctx.textAlign = 'right';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(line.label, chartArea.right - 4, y - 2);
+            }
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Get the x pixel for a timestamp on the date label axis
+     * Times between labels are interpolated; times outside the labels are clamped to the
+     * chart area when clamp is set, and give null otherwise
+     */
+    getPixelForTime(chart, time, clamp) {
+        const times = this.getLabelTimes(chart);
+        const xScale = chart.scales.x;
+        
+        if (!times.length) {
+            return null;
+        }
+        
+        if (time < times[0]) {
+            return clamp ? chart.chartArea.left : null;
+        }
+        if (time > times[times.length - 1]) {
+            return clamp ? chart.chartArea.right : null;
+        }
+        
+        // The label at or before the time
+        const index = Math.max(this.findLabelIndex(times, time) - 1, 0);
+        
+        const start = xScale.getPixelForValue(index);
+        if (index === times.length - 1 || times[index + 1] === times[index]) {
+            return start;
+        }
+        
+        const fraction = (time - times[index]) / (times[index + 1] - times[index]);
+        return start + fraction * (xScale.getPixelForValue(index + 1) - start);
+    }
+    
+    /**
+     * Get the timestamps of a chart's date labels
+     * Parsed once per data update rather than on every draw, as annotations are placed on each one
+     */
+    getLabelTimes(chart) {
+        const labels = chart.data.labels || [];
+        if (!this.labelTimes.has(labels)) {
+            this.labelTimes.set(labels, labels.map(label => new Date(label).getTime()));
+        }
+        
+        return this.labelTimes.get(labels);
+    }
+    
+    /**
+     * Get the index of the first label timestamp at or after a time (times.length if none is)
+     */
+    findLabelIndex(times, time) {
+        let low = 0;
+        let high = times.length;
+        
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (times[middle] < time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        
+        return low;
+    }
+    
+    /**
+     * Get the timestamp at an x pixel, interpolated between the date labels
+     */
+    getTimeForPixel(x) {
+        const times = this.getLabelTimes(this.chartInstance);
+        if (times.length < 2) {
+            return times.length ? times[0] : null;
+        }
+        
+        const xScale = this.chartInstance.scales.x;
+        const first = xScale.getPixelForValue(0);
+        const step = (xScale.getPixelForValue(times.length - 1) - first) / (times.length - 1);
+        const position = Math.min(Math.max((x - first) / step, 0), times.length - 1);
+        const index = Math.min(Math.floor(position), times.length - 2);
+        
+        return times[index] + (position - index) * (times[index + 1] - times[index]);
+    }
+    
+    /**
+     * Add drag-to-zoom, Shift-drag and touch panning, wheel and pinch zoom, and the reset button
+     */
+    addZoomControls(canvas) {
+        // Vertical swipes still scroll the page
+        canvas.style.touchAction = 'pan-y';
+        canvas.addEventListener('pointerdown', event => this.onPointerDown(event));
+        canvas.addEventListener('pointermove', event => this.onPointerMove(event));
+        canvas.addEventListener('pointerup', event => this.onPointerUp(event));
+        canvas.addEventListener('pointercancel', event => this.onPointerUp(event));
+        canvas.addEventListener('wheel', event => this.onWheel(event), { passive: false });
+        canvas.addEventListener('dblclick', () => this.setZoom(null, null));
+        
+        this.selection = document.createElement('div');
+        this.selection.className = 'zc-chart-zoom-selection';
+        this.selection.hidden = true;
+        
+        this.resetButton = document.createElement('button');
+        this.resetButton.type = 'button';
+        this.resetButton.className = 'zc-chart-reset-zoom';
+        this.resetButton.textContent = ZCI18n.text('resetZoom');
+        this.resetButton.addEventListener('click', () => this.setZoom(null, null));
+        
+        this.plot.appendChild(this.selection);
+        this.plot.appendChild(this.resetButton);
+    }
+    
+    /**
+     * Show the reset button while zoomed in, and redraw the navigator
+     */
+    updateZoomControls() {
+        const area = this.chartInstance ? this.chartInstance.chartArea : null;
+        if (this.resetButton) {
+            this.resetButton.hidden = !this.visibleRange;
+            this.resetButton.style.color = this.theme.text;
+            this.resetButton.style.backgroundColor = this.theme.background;
+            this.resetButton.style.borderColor = this.theme.tooltipBorder;
+            if (area) {
+                this.resetButton.style.top = `${area.top + 8}px`;
+                this.resetButton.style.right = `${this.chartInstance.width - area.right + 8}px`;
+            }
+        }
+        
+        if (this.selection) {
+            this.selection.style.backgroundColor = this.hexToRgba(this.theme.axis, 0.2);
+            this.selection.style.borderColor = this.theme.axis;
+        }
+        
+        if (this.navigator) {
+            this.navigator.update();
+        }
+    }
+    
+    /**
+     * Start a zoom selection (mouse), a pan (Shift with a mouse, or one finger) or a pinch (two fingers)
+     */
+    onPointerDown(event) {
+        const area = this.chartInstance ? this.chartInstance.chartArea : null;
+        const x = this.getPointerX(event);
+        if (!area || x < area.left || x > area.right || (event.pointerType === 'mouse' && event.button !== 0)) {
+            return;
+        }
+        
+        this.pointers.set(event.pointerId, x);
+        if (event.target.setPointerCapture) {
+            event.target.setPointerCapture(event.pointerId);
+        }
+        
+        const range = this.getZoomRange();
+        if (this.pointers.size === 2) {
+            const [first, second] = Array.from(this.pointers.values());
+            this.gesture = {
+                type: 'pinch',
+                distance: Math.abs(first - second) || 1,
+                time: this.getTimeForPixel((first + second) / 2),
+                range: range
+            };
+            this.selection.hidden = true;
+        } else if (event.pointerType === 'mouse' && !event.shiftKey) {
+            this.gesture = { type: 'select', x: x };
+        } else {
+            this.gesture = { type: 'pan', x: x, range: range };
+        }
+    }
+    
+    /**
+     * Follow the pointer: draw the selection, or pan or zoom the chart
+     */
+    onPointerMove(event) {
+        const gesture = this.gesture;
+        if (!gesture || !this.pointers.has(event.pointerId)) {
+            return;
+        }
+        
+        const area = this.chartInstance.chartArea;
+        const x = Math.min(Math.max(this.getPointerX(event), area.left), area.right);
+        this.pointers.set(event.pointerId, x);
+        
+        if (gesture.type === 'select') {
+            this.selection.style.left = `${Math.min(gesture.x, x)}px`;
+            this.selection.style.width = `${Math.abs(x - gesture.x)}px`;
+            this.selection.style.top = `${area.top}px`;
+            this.selection.style.height = `${area.bottom - area.top}px`;
+            this.selection.hidden = false;
+        } else if (gesture.type === 'pan') {
+            // Only a zoomed-in chart has somewhere to pan to
+            if (this.visibleRange) {
+                const shift = (x - gesture.x) / (area.right - area.left) * (gesture.range.max - gesture.range.min);
+                this.zoomTo(gesture.range.min - shift, gesture.range.max - shift);
+            }
+        } else {
+            const [first, second] = Array.from(this.pointers.values());
+            this.zoomAround(gesture.time, gesture.distance / (Math.abs(first - second) || 1), gesture.range);
+        }
+    }
+    
+    /**
+     * Finish the gesture, zooming into the selection if one was drawn
+     */
+    onPointerUp(event) {
+        if (!this.pointers.has(event.pointerId)) {
+            return;
+        }
+        
+        const start = this.gesture && this.gesture.type === 'select' ? this.gesture.x : null;
+        const end = this.pointers.get(event.pointerId);
+        this.pointers.delete(event.pointerId);
+        this.gesture = null;
+        this.selection.hidden = true;
+        
+        // Ignore clicks and tiny drags
+        if (start !== null && Math.abs(end - start) >= 5) {
+            this.zoomTo(this.getTimeForPixel(Math.min(start, end)), this.getTimeForPixel(Math.max(start, end)));
+        }
     }
     
     /**
-     * Check if dark mode is enabled
+     * Zoom with the mouse wheel while Ctrl (or Cmd) is held; browsers send trackpad pinches the same way
+     * Without the key, the wheel scrolls the page as usual
      */
-    isDarkMode() {
-        // Check for prefers-color-scheme media query
-        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-            return true;
+    onWheel(event) {
+        const area = this.chartInstance ? this.chartInstance.chartArea : null;
+        if (!area || !(event.ctrlKey || event.metaKey) || !event.deltaY) {
+            return;
         }
         
-        // Check for dark mode class on body (if used by theme)
-        if (document.body.classList.contains('dark-mode') || 
-            document.body.classList.contains('dark')) {
-            return true;
+        event.preventDefault();
+        const x = Math.min(Math.max(this.getPointerX(event), area.left), area.right);
+        this.zoomAround(this.getTimeForPixel(x), Math.min(Math.max(Math.pow(2, event.deltaY / 300), 0.5), 2));
+    }
+    
+    /**
+     * Get the pointer's x position on the chart canvas
+     */
+    getPointerX(event) {
+        return event.clientX - this.chartInstance.canvas.getBoundingClientRect().left;
+    }
+    
+    /**
+     * Resolve the theme again and restyle the chart in place
+     */
+    applyTheme() {
+        if (!this.chartInstance) {
+            return;
         }
         
-        return false;
+        this.theme = ZCThemes.resolve(this.container, this.config);
+        
+        this.chartInstance.data.datasets.forEach((dataset, index) => {
+            const color = this.getSeriesColor(index);
+            dataset.borderColor = color;
+            dataset.backgroundColor = this.hexToRgba(color, 0.1);
+        });
+        this.chartInstance.options = this.prepareChartOptions();
+        this.chartInstance.update('none');
+        this.updateZoomControls();
     }
     
     /**
-     * Update chart with new data
+     * Draw the current data into the chart
+     * The mode is passed to Chart.js, e.g. "none" to skip the animation
      */
-    updateData(newData) {
+    redraw(mode) {
         if (!this.chartInstance) {
             return;
         }
         
         // Prepare new chart data
-        const chartData = this.prepareChartData(newData);
+        const chartData = this.prepareChartData(this.currentData);
         
-        // Update chart data
+        // Update chart data in place so existing datasets keep their state
         this.chartInstance.data.labels = chartData.labels;
-        this.chartInstance.data.datasets[0].data = chartData.datasets[0].data;
-        this.chartInstance.data.datasets[0].label = chartData.datasets[0].label;
+        chartData.datasets.forEach((dataset, index) => {
+            const existing = this.chartInstance.data.datasets[index];
+            if (existing) {
+                existing.data = dataset.data;
+                existing.label = dataset.label;
+            } else {
+                this.chartInstance.data.datasets.push(dataset);
+            }
+        });
+        this.chartInstance.data.datasets.length = chartData.datasets.length;
+        
+        // Date labels depend on the span shown
+        this.chartInstance.options = this.prepareChartOptions();
         
         // Update chart
-        this.chartInstance.update();
+        this.chartInstance.update(mode);
+        this.accessibility.update();
+        this.updateZoomControls();
     }
     
     /**
@@ -204,77 +731,33 @@ class ZCChartJSHandler {
             return;
         }
         
+        // Chart.js has no area type; an area chart is a filled line chart
+        const isArea = type === 'area';
+        
         // Update chart type
-        this.chartInstance.config.type = type;
+        this.chartInstance.config.type = isArea ? 'line' : type;
+        this.chartInstance.data.datasets.forEach(dataset => {
+            dataset.fill = isArea;
+        });
         this.chartInstance.update();
     }
     
     /**
      * Apply timeframe filter
+     * A new timeframe replaces the zoomed-in range
      */
-    applyTimeframeFilter(timeframe) {
-        if (!this.chartInstance || !this.data || !this.data.data) {
+    async applyTimeframeFilter(timeframe) {
+        if (!this.chartInstance || !this.data) {
             return;
         }
         
-        // Filter data based on timeframe
-        const filteredData = this.filterDataByTimeframe(this.data.data, timeframe);
-        
-        // Update chart with filtered data
-        this.updateData({ data: filteredData });
-    }
-    
-    /**
-     * Filter data by timeframe
-     */
-    filterDataByTimeframe(data, timeframe) {
-        if (!data || !Array.isArray(data)) {
-            return data;
-        }
-        
-        // Determine cutoff date based on timeframe
-        const cutoffDate = new Date();
-        switch (timeframe) {
-            case '3m':
-                cutoffDate.setMonth(cutoffDate.getMonth() - 3);
-                break;
-            case '6m':
-                cutoffDate.setMonth(cutoffDate.getMonth() - 6);
-                break;
-            case '1y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 1);
-                break;
-            case '2y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 2);
-                break;
-            case '3y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 3);
-                break;
-            case '5y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 5);
-                break;
-            case '10y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 10);
-                break;
-            case '15y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 15);
-                break;
-            case '20y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 20);
-                break;
-            case '25y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 25);
-                break;
-            default:
-                return data; // 'all' or unknown timeframe
-        }
-        
-        // Filter data
-        return data.filter(point => {
-            if (!point.obs_date) return false;
-            const pointDate = new Date(point.obs_date);
-            return pointDate >= cutoffDate;
-        });
+        const zoomed = this.visibleRange !== null;
+        this.visibleRange = null;
+        await super.applyTimeframeFilter(timeframe);
+        
+        if (zoomed) {
+            this.emit('zoom', { min: null, max: null });
+        }
     }
     
     /**
@@ -287,7 +770,7 @@ class ZCChartJSHandler {
         
         return new Promise((resolve, reject) => {
             try {
-                const imageUrl = this.chartInstance.toBase64Image(format, 1);
+                const imageUrl = this.chartInstance.toBase64Image(`image/${format}`, 1);
                 resolve(imageUrl);
             } catch (error) {
                 reject(error);
@@ -296,20 +779,209 @@ class ZCChartJSHandler {
     }
     
     /**
-     * Toggle fullscreen mode
+     * Render a light-theme copy of the chart off screen for image export
+     * Resolves with { url, width, height }, where url is a PNG data URL at the given scale
      */
-    toggleFullscreen() {
-        if (!document.fullscreenElement) {
-            this.container.requestFullscreen().catch(err => {
-                console.error('Error attempting to enable fullscreen:', err);
+    renderForExport(options) {
+        const holder = ZCImageExport.createOffscreenHolder(options.width, options.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = options.width;
+        canvas.height = options.height;
+        holder.appendChild(canvas);
+        
+        // Exports always use the light theme
+        const theme = this.theme;
+        this.theme = ZCThemes.resolve(this.container, this.config, 'light');
+        
+        try {
+            const chart = new Chart(canvas.getContext('2d'), {
+                type: this.chartInstance.config.type,
+                data: {
+                    labels: this.chartInstance.data.labels.slice(),
+                    datasets: this.chartInstance.data.datasets.map((dataset, index) => ({
+                        ...dataset,
+                        data: dataset.data.slice(),
+                        borderColor: this.getSeriesColor(index),
+                        backgroundColor: this.hexToRgba(this.getSeriesColor(index), 0.1),
+                        hidden: !this.isSeriesVisible(index)
+                    }))
+                },
+                options: {
+                    ...this.prepareChartOptions(),
+                    responsive: false,
+                    animation: false,
+                    devicePixelRatio: options.scale
+                },
+                plugins: [this.getBackgroundPlugin(), this.getAnnotationPlugin()]
             });
+            
+            const url = chart.toBase64Image('image/png', 1);
+            chart.destroy();
+            
+            return Promise.resolve({
+                url: url,
+                width: options.width,
+                height: options.height
+            });
+        } catch (error) {
+            return Promise.reject(error);
+        } finally {
+            this.theme = theme;
+            holder.remove();
+        }
+    }
+    
+    /**
+     * Check if a series is shown (not hidden through the legend)
+     */
+    isSeriesVisible(index) {
+        return this.chartInstance.isDatasetVisible(index);
+    }
+    
+    /**
+     * Show the tooltip for a point selected with the keyboard
+     */
+    highlightPoint(seriesIndex, point) {
+        // Downsampled series may not draw this exact date; use the nearest one drawn
+        const labels = this.chartInstance.data.labels;
+        let index = labels.indexOf(point.obs_date);
+        if (index === -1) {
+            index = this.getNearestLabelIndex(new Date(point.obs_date).getTime());
+        }
+        
+        if (index !== -1) {
+            this.setActiveElements([{ datasetIndex: seriesIndex, index: index }]);
+        }
+    }
+    
+    /**
+     * Show the crosshair and tooltip at the observation nearest to a date hovered in another chart
+     * Dates outside the dates drawn hide them instead
+     */
+    showCrosshair(time) {
+        const labels = this.chartInstance ? this.chartInstance.data.labels : [];
+        if (!labels.length || time < new Date(labels[0]).getTime() || time > new Date(labels[labels.length - 1]).getTime()) {
+            this.hideCrosshair();
+            return;
+        }
+        
+        const index = this.getNearestLabelIndex(time);
+        const elements = this.chartInstance.data.datasets
+            .map((dataset, datasetIndex) => ({ datasetIndex: datasetIndex, index: index }))
+            .filter(element => this.isSeriesVisible(element.datasetIndex) &&
+                this.chartInstance.data.datasets[element.datasetIndex].data[index] !== null);
+        
+        if (elements.length) {
+            this.setActiveElements(elements);
         } else {
-            if (document.exitFullscreen) {
-                document.exitFullscreen();
-            }
+            this.hideCrosshair();
         }
     }
     
+    /**
+     * Hide the crosshair and tooltip shown for another chart
+     */
+    hideCrosshair() {
+        this.clearHighlight();
+    }
+    
+    /**
+     * Show only a date range, drawn at full resolution
+     * Without a range, the whole timeframe is shown again. Resolves once drawn.
+     */
+    setZoom(min, max) {
+        const range = min === undefined || max === undefined || min === null || max === null ? null : { min: min, max: max };
+        if (JSON.stringify(range) === JSON.stringify(this.visibleRange)) {
+            return this.drawing;
+        }
+        
+        this.visibleRange = range;
+        this.draw('none');
+        this.emit('zoom', range || { min: null, max: null });
+        return this.drawing;
+    }
+    
+    /**
+     * Zoom into a date range, kept within the data and to at least two observations
+     * A range covering all the data resets the zoom
+     */
+    zoomTo(min, max) {
+        const extent = this.getDataExtent();
+        if (!extent || extent.count < 2) {
+            return;
+        }
+        
+        const full = extent.max - extent.min;
+        const span = Math.max(max - min, 2 * full / (extent.count - 1));
+        if (span >= full) {
+            this.setZoom(null, null);
+            return;
+        }
+        
+        const start = Math.min(Math.max(min, extent.min), extent.max - span);
+        this.setZoom(start, start + span);
+    }
+    
+    /**
+     * Zoom in (factor below 1) or out around a date, keeping it under the pointer
+     */
+    zoomAround(time, factor, range = this.getZoomRange()) {
+        if (time === null || !range) {
+            return;
+        }
+        
+        this.zoomTo(time - (time - range.min) * factor, time + (range.max - time) * factor);
+    }
+    
+    /**
+     * Get the dates shown: the zoomed-in range, else the whole timeframe
+     */
+    getZoomRange() {
+        return this.visibleRange || this.getDataExtent();
+    }
+    
+    /**
+     * Get the first and last dates of the timeframe, and the most observations in a series
+     */
+    getDataExtent() {
+        return ZCNavigator.getExtent(this.getSeriesList(this.currentData));
+    }
+    
+    /**
+     * Get the index of the date label nearest to a timestamp, or -1 without labels
+     */
+    getNearestLabelIndex(time) {
+        const times = this.getLabelTimes(this.chartInstance);
+        if (!times.length) {
+            return -1;
+        }
+        
+        const index = Math.min(this.findLabelIndex(times, time), times.length - 1);
+        return index > 0 && time - times[index - 1] <= times[index] - time ? index - 1 : index;
+    }
+    
+    /**
+     * Activate points and show their tooltip
+     */
+    setActiveElements(elements) {
+        this.chartInstance.setActiveElements(elements);
+        this.chartInstance.tooltip.setActiveElements(elements, { x: 0, y: 0 });
+        this.chartInstance.update('none');
+    }
+    
+    /**
+     * Hide the keyboard tooltip
+     */
+    clearHighlight() {
+        if (!this.chartInstance) {
+            return;
+        }
+        
+        this.chartInstance.setActiveElements([]);
+        this.chartInstance.tooltip.setActiveElements([], { x: 0, y: 0 });
+        this.chartInstance.update('none');
+    }
+    
     /**
      * Destroy chart instance
      */
@@ -319,13 +991,31 @@ class ZCChartJSHandler {
             this.chartInstance = null;
         }
         
-        // Remove resize listener if needed
-        if (this.resizeObserver) {
-            this.resizeObserver.disconnect();
+        if (this.navigator) {
+            this.navigator.destroy();
+            this.navigator = null;
         }
+        this.container.classList.remove('zc-chart-has-navigator');
+        
+        super.destroy();
     }
 }
 
+// Register with the chart loader
+if (typeof window !== 'undefined' && window.zcChartRenderers) {
+    window.zcChartRenderers.register('chartjs', {
+        label: 'Chart.js',
+        handler: ZCChartJSHandler,
+        global: 'Chart',
+        capabilities: {
+            types: ['line', 'bar', 'area'],
+            // Chart.js draws to a canvas, so there is no vector SVG to export
+            exportFormats: ['png', 'pdf', 'csv', 'json', 'xlsx'],
+            zoom: true
+        }
+    });
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ZCChartJSHandler;
@@ -0,0 +1,300 @@
+/**
+ * ZC Charts Data Export
+ * Builds CSV, JSON and XLSX downloads from the series shown in a chart
+ */
+
+class ZCDataExport {
+    /**
+     * Export a list of series (as returned by a handler's getSeriesList) in the given format
+     * Resolves with { blob, filename }
+     */
+    static export(series, format = 'csv', meta = {}) {
+        const exporter = ZCDataExport.formats[format];
+        if (!exporter) {
+            return Promise.reject(new Error(`Unsupported export format "${format}"`));
+        }
+        
+        const range = ZCDataExport.getDateRange(series);
+        const blob = new Blob([exporter.build(series, meta, range)], { type: exporter.mimeType });
+        
+        return Promise.resolve({
+            blob: blob,
+            filename: ZCDataExport.getFilename(series, range, exporter.extension, meta)
+        });
+    }
+    
+    /**
+     * Get one row per observation: date, indicator, slug, value, units, source
+     */
+    static getRows(series, meta = {}) {
+        const rows = [];
+        
+        series.forEach(item => {
+            item.points.forEach(point => {
+                rows.push([
+                    ZCDataExport.formatDate(point.obs_date),
+                    item.name,
+                    item.slug || '',
+                    point.value,
+                    item.units || '',
+                    meta.source || ''
+                ]);
+            });
+        });
+        
+        return rows;
+    }
+    
+    /**
+     * Build a CSV document
+     * Starts with a byte order mark so Excel reads it as UTF-8. Text a spreadsheet would run as
+     * a formula (starting with =, +, -, @, a tab or a carriage return) is prefixed with an apostrophe.
+     */
+    static toCSV(series, meta = {}) {
+        const escape = value => {
+            let text = String(value);
+            if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        return '\uFEFF' + [ZCDataExport.columns].concat(ZCDataExport.getRows(series, meta))
+            .map(row => row.map(escape).join(','))
+            .join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Build a JSON document
+     */
+    static toJSON(series, meta = {}, range = ZCDataExport.getDateRange(series)) {
+        return JSON.stringify({
+            source: meta.source || null,
+            exported_at: new Date().toISOString(),
+            start_date: range.start,
+            end_date: range.end,
+            series: series.map(item => ({
+                slug: item.slug || null,
+                name: item.name,
+                units: item.units || null,
+                data: item.points.map(point => ({
+                    date: ZCDataExport.formatDate(point.obs_date),
+                    value: point.value
+                }))
+            }))
+        }, null, 2);
+    }
+    
+    /**
+     * Build an XLSX workbook with a single sheet
+     */
+    static toXLSX(series, meta = {}) {
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        
+        const columnName = index => String.fromCharCode(65 + index);
+        
+        const sheetRows = [ZCDataExport.columns].concat(ZCDataExport.getRows(series, meta)).map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const ref = columnName(columnIndex) + (rowIndex + 1);
+                if (typeof value === 'number' && isFinite(value)) {
+                    return `<c r="${ref}"><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"><is><t>${escape(value)}</t></is></c>`;
+            });
+            return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+        });
+        
+        const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+        const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const packageRelNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+        
+        return ZCDataExport.zip([
+            {
+                name: '[Content_Types].xml',
+                content: xmlHeader +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: xmlHeader +
+                    `<Relationships xmlns="${packageRelNs}">` +
+                    `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: xmlHeader +
+                    `<workbook xmlns="${mainNs}" xmlns:r="${relNs}">` +
+                    '<sheets><sheet name="Data" sheetId="1" r:id="rId1"/></sheets>' +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: xmlHeader +
+                    `<Relationships xmlns="${packageRelNs}">` +
+                    `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                content: xmlHeader +
+                    `<worksheet xmlns="${mainNs}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+            }
+        ]);
+    }
+    
+    /**
+     * Pack files into an uncompressed ZIP archive
+     */
+    static zip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const content = encoder.encode(file.content);
+            const crc = ZCDataExport.crc32(content);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);   // Local file header signature
+            local.setUint16(4, 20, true);           // Version needed to extract
+            local.setUint16(8, 0, true);            // Stored, no compression
+            local.setUint32(14, crc, true);
+            local.setUint32(18, content.length, true);
+            local.setUint32(22, content.length, true);
+            local.setUint16(26, name.length, true);
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory header signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed to extract
+            central.setUint32(16, crc, true);
+            central.setUint32(20, content.length, true);
+            central.setUint32(24, content.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);    // Offset of the local header
+            
+            localParts.push(new Uint8Array(local.buffer), name, content);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + content.length;
+        });
+        
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+        const output = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        
+        return output;
+    }
+    
+    /**
+     * Compute the CRC-32 checksum of a byte array
+     */
+    static crc32(bytes) {
+        if (!ZCDataExport.crcTable) {
+            ZCDataExport.crcTable = [];
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZCDataExport.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZCDataExport.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+    
+    /**
+     * Get the first and last observation dates across all series
+     */
+    static getDateRange(series) {
+        const dates = [];
+        series.forEach(item => item.points.forEach(point => dates.push(ZCDataExport.formatDate(point.obs_date))));
+        dates.sort();
+        
+        return {
+            start: dates.length ? dates[0] : null,
+            end: dates.length ? dates[dates.length - 1] : null
+        };
+    }
+    
+    /**
+     * Build a filename from the slugs and date range, e.g. gdp-us_2015-01-01_2024-10-01.csv
+     */
+    static getFilename(series, range, extension, meta = {}) {
+        const slugs = series.map(item => item.slug).filter(Boolean);
+        const parts = [slugs.length ? slugs.join('_') : (meta.slug || 'chart')];
+        
+        if (range.start && range.end) {
+            parts.push(range.start, range.end);
+        }
+        
+        return `${parts.join('_')}.${extension}`;
+    }
+    
+    /**
+     * Normalize an observation date to YYYY-MM-DD
+     */
+    static formatDate(date) {
+        return String(date).substring(0, 10);
+    }
+}
+
+// Column headings for tabular exports
+ZCDataExport.columns = ['date', 'indicator', 'slug', 'value', 'units', 'source'];
+
+// Built-in export formats
+ZCDataExport.formats = {
+    csv: {
+        label: 'CSV',
+        extension: 'csv',
+        mimeType: 'text/csv;charset=utf-8',
+        build: (series, meta) => ZCDataExport.toCSV(series, meta)
+    },
+    json: {
+        label: 'JSON',
+        extension: 'json',
+        mimeType: 'application/json',
+        build: (series, meta, range) => ZCDataExport.toJSON(series, meta, range)
+    },
+    xlsx: {
+        label: 'Excel',
+        extension: 'xlsx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        build: (series, meta) => ZCDataExport.toXLSX(series, meta)
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCDataExport;
+}
\ No newline at end of file
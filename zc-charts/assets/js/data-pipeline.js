@@ -0,0 +1,276 @@
+/**
+ * ZC Charts Data Pipeline
+ * Prepares fetched data for drawing: parsing, sorting, resampling, transforms, timeframe filtering
+ * and downsampling. The steps run in a Web Worker (data-worker.js) when one can be started, and on
+ * the main thread otherwise.
+ */
+
+class ZCDataPipeline {
+    /**
+     * Start the worker, if the browser and page allow it
+     */
+    constructor(workerUrl = null) {
+        this.worker = null;
+        this.requests = new Map();
+        this.nextId = 0;
+        
+        if (workerUrl && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(workerUrl);
+                this.worker.addEventListener('message', event => this.onMessage(event));
+                this.worker.addEventListener('error', event => this.onError(event));
+            } catch (error) {
+                // E.g. scripts served from another origin
+                console.warn('Data worker unavailable, preparing chart data on the main thread:', error);
+                this.worker = null;
+            }
+        }
+    }
+    
+    /**
+     * Run a pipeline step (a static method of ZCDataPipeline) in the worker
+     * Resolves with the step's result
+     */
+    run(method, ...args) {
+        if (!this.worker) {
+            return new Promise(resolve => resolve(ZCDataPipeline[method](...args)));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const id = ++this.nextId;
+            this.requests.set(id, { method, args, resolve, reject });
+            
+            try {
+                this.worker.postMessage({ id: id, method: method, args: args });
+            } catch (error) {
+                // Arguments the worker cannot receive (e.g. functions added by a filter)
+                this.requests.delete(id);
+                resolve(ZCDataPipeline[method](...args));
+            }
+        });
+    }
+    
+    /**
+     * Settle a request with the worker's response
+     */
+    onMessage(event) {
+        const { id, result, error } = event.data;
+        const request = this.requests.get(id);
+        if (!request) {
+            return;
+        }
+        
+        this.requests.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+    
+    /**
+     * Stop using a worker that failed to start, and finish its requests on the main thread
+     */
+    onError(event) {
+        console.warn('Data worker failed, preparing chart data on the main thread:', event.message || event);
+        
+        this.worker.terminate();
+        this.worker = null;
+        
+        const pending = Array.from(this.requests.values());
+        this.requests.clear();
+        pending.forEach(request => {
+            this.run(request.method, ...request.args).then(request.resolve, request.reject);
+        });
+    }
+    
+    /**
+     * Stop the worker
+     */
+    destroy() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+    
+    /**
+     * Turn fetched data into the data a chart renders
+     * Every series is parsed and sorted, then resampled and transformed as configured.
+     * The result is marked "prepared": its points are { obs_date, time, value } sorted by time.
+     */
+    static prepare(data, options = {}) {
+        const parsed = {
+            ...data,
+            series: data.series.map(item => ({
+                ...item,
+                data: ZCDataTransforms.normalize(item.data)
+            }))
+        };
+        
+        const series = ZCDataPipeline.transform(ZCDataPipeline.resample(parsed, options), options).series.map(item => ({
+            ...item,
+            data: ZCDataPipeline.addTimes(item.data)
+        }));
+        
+        return {
+            ...data,
+            indicator: series[0].indicator,
+            data: series[0].data,
+            series: series,
+            prepared: true
+        };
+    }
+    
+    /**
+     * Resample every series to the configured frequency
+     * With "auto", the default for charts with several series, series of different frequencies
+     * are resampled to the coarsest one among them
+     */
+    static resample(data, options) {
+        let frequency = options.frequency || (data.series.length > 1 ? 'auto' : 'none');
+        if (frequency === 'none') {
+            return data;
+        }
+        
+        if (frequency === 'auto') {
+            const frequencies = data.series.map(item => ZCI18n.detectFrequency(item.data.map(point => point.time)));
+            frequency = frequencies.reduce((coarsest, item) => ZCI18n.coarserFrequency(coarsest, item));
+            
+            if (frequencies.every(item => item === frequency)) {
+                return data;
+            }
+        }
+        
+        return {
+            ...data,
+            series: data.series.map(item => ({
+                ...item,
+                data: ZCDataTransforms.resample(item.data, frequency, options.aggregation || 'mean')
+            }))
+        };
+    }
+    
+    /**
+     * Apply the configured transform to every series
+     * Axis units are updated so the handlers label the transformed values
+     */
+    static transform(data, options) {
+        if (!options.transform) {
+            return data;
+        }
+        
+        return {
+            ...data,
+            series: data.series.map(item => ({
+                ...item,
+                indicator: {
+                    ...item.indicator,
+                    units: ZCDataTransforms.getUnits(item.indicator.units, options.transform)
+                },
+                data: ZCDataTransforms.apply(item.data, options.transform)
+            }))
+        };
+    }
+    
+    /**
+     * Give every point its timestamp, so later steps never parse dates again
+     */
+    static addTimes(points) {
+        return points.map(point => point.time === undefined ? {
+            ...point,
+            time: new Date(point.obs_date).getTime()
+        } : point);
+    }
+    
+    /**
+     * Keep the points of every series within a timeframe
+     */
+    static filterSeries(data, timeframe) {
+        return {
+            ...data,
+            series: data.series.map(item => ({
+                ...item,
+                data: Array.isArray(item.data) ? ZCDataPipeline.filterTimeframe(item.data, timeframe) : item.data
+            }))
+        };
+    }
+    
+    /**
+     * Downsample lists of points to the point limit each (see ZCDataTransforms.downsample)
+     */
+    static downsample(pointLists, limit, range = null) {
+        return pointLists.map(points => ZCDataTransforms.downsample(points, limit, range));
+    }
+    
+    /**
+     * Keep the points within a timeframe
+     * Returns the points unchanged for "all" or an unknown timeframe
+     */
+    static filterTimeframe(points, timeframe, now = new Date()) {
+        const range = ZCDataPipeline.getTimeframeRange(timeframe, now);
+        if (!range || (range.start === null && range.end === null)) {
+            return points;
+        }
+        
+        return points.filter(point => {
+            if (!point.obs_date) return false;
+            const time = point.time !== undefined ? point.time : new Date(point.obs_date).getTime();
+            return (range.start === null || time >= range.start) && (range.end === null || time <= range.end);
+        });
+    }
+    
+    /**
+     * Get the start and end timestamps of a timeframe (null for an open end)
+     *
+     * Timeframes are "all", a period ending today ("30d", "6w", "3m", "10y"), "ytd",
+     * "since:2020-01-01", or a date range "2020-01-01/2022-12-31" whose start or end may be left out.
+     * Returns null for anything else.
+     */
+    static getTimeframeRange(timeframe, now = new Date()) {
+        const value = String(timeframe || '').trim();
+        const date = text => new Date(text).getTime();
+        let match;
+        
+        if (value === 'all') {
+            return { start: null, end: null };
+        }
+        
+        if (value === 'ytd') {
+            return { start: Date.UTC(now.getFullYear(), 0, 1), end: null };
+        }
+        
+        if ((match = /^(\d+)([dwmy])$/.exec(value))) {
+            const amount = parseInt(match[1], 10);
+            const start = new Date(now.getTime());
+            if (match[2] === 'd' || match[2] === 'w') {
+                start.setDate(start.getDate() - amount * (match[2] === 'w' ? 7 : 1));
+            } else if (match[2] === 'm') {
+                start.setMonth(start.getMonth() - amount);
+            } else {
+                start.setFullYear(start.getFullYear() - amount);
+            }
+            return { start: start.getTime(), end: null };
+        }
+        
+        if ((match = /^since:(\d{4}-\d{2}-\d{2})$/.exec(value)) && !isNaN(date(match[1]))) {
+            return { start: date(match[1]), end: null };
+        }
+        
+        match = /^(\d{4}-\d{2}-\d{2})?\/(\d{4}-\d{2}-\d{2})?$/.exec(value);
+        if (match && (match[1] || match[2])) {
+            const range = {
+                start: match[1] ? date(match[1]) : null,
+                end: match[2] ? date(match[2]) : null
+            };
+            return isNaN(range.start) || isNaN(range.end) ? null : range;
+        }
+        
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCDataPipeline;
+}
\ No newline at end of file
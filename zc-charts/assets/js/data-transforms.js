@@ -0,0 +1,437 @@
+/**
+ * ZC Charts Data Transforms
+ * Client-side transformations applied between fetching and rendering
+ */
+
+class ZCDataTransforms {
+    /**
+     * Apply a transform specification to a list of observations
+     * Specs look like "yoy", "index:2020-01-01" or "rolling_mean:12",
+     * and can be chained with "|" (e.g. "rolling_mean:3|yoy")
+     */
+    static apply(data, spec) {
+        let points = ZCDataTransforms.normalize(data);
+        
+        ZCDataTransforms.parse(spec).forEach(step => {
+            const transform = ZCDataTransforms.transforms[step.name];
+            if (transform) {
+                points = transform.apply(points, step.param);
+            }
+        });
+        
+        return points;
+    }
+    
+    /**
+     * Get the axis label for data that went through a transform specification
+     */
+    static getUnits(units, spec) {
+        return ZCDataTransforms.parse(spec).reduce((label, step) => {
+            const transform = ZCDataTransforms.transforms[step.name];
+            return transform ? transform.units(label, step.param) : label;
+        }, units || ZCI18n.text('value'));
+    }
+    
+    /**
+     * Parse a transform specification into steps
+     */
+    static parse(spec) {
+        if (!spec || spec === 'none') {
+            return [];
+        }
+        
+        return String(spec).split('|')
+            .map(part => part.trim())
+            .filter(part => part !== '')
+            .map(part => {
+                const separator = part.indexOf(':');
+                return {
+                    name: separator === -1 ? part : part.slice(0, separator),
+                    param: separator === -1 ? null : part.slice(separator + 1)
+                };
+            })
+            .filter(step => {
+                if (!ZCDataTransforms.isTransform(step.name)) {
+                    console.warn('Unknown chart transform:', step.name);
+                    return false;
+                }
+                return true;
+            });
+    }
+    
+    /**
+     * Check that every step of a transform specification names a known transform
+     * Used for specifications from outside the page, such as the URL
+     */
+    static isValid(spec) {
+        if (typeof spec !== 'string') {
+            return false;
+        }
+        if (spec === '' || spec === 'none') {
+            return true;
+        }
+        
+        return spec.split('|')
+            .map(part => part.trim())
+            .filter(part => part !== '')
+            .every(part => ZCDataTransforms.isTransform(part.split(':')[0]));
+    }
+    
+    /**
+     * Check whether a name is one of the available transforms
+     */
+    static isTransform(name) {
+        return Object.prototype.hasOwnProperty.call(ZCDataTransforms.transforms, name);
+    }
+    
+    /**
+     * Parse, validate and sort raw observations
+     * Each date is parsed once, and kept as the point's timestamp
+     */
+    static normalize(data) {
+        if (!Array.isArray(data)) {
+            return [];
+        }
+        
+        return data
+            .filter(point => point && point.obs_date && point.value !== undefined && point.value !== null)
+            .map(point => ({
+                obs_date: point.obs_date,
+                time: point.time !== undefined ? point.time : new Date(point.obs_date).getTime(),
+                value: parseFloat(point.value)
+            }))
+            .filter(point => !isNaN(point.value) && !isNaN(point.time))
+            .sort((a, b) => a.time - b.time);
+    }
+    
+    /**
+     * Percent change between two values
+     */
+    static percentChange(current, previous) {
+        if (previous === 0) {
+            return null;
+        }
+        return (current - previous) / Math.abs(previous) * 100;
+    }
+    
+    /**
+     * Percent change over the prior observation
+     */
+    static percentChangePeriod(points) {
+        const result = [];
+        
+        for (let i = 1; i < points.length; i++) {
+            const value = ZCDataTransforms.percentChange(points[i].value, points[i - 1].value);
+            if (value !== null) {
+                result.push({ obs_date: points[i].obs_date, value: value });
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Percent change over the observation one year earlier
+     * Uses the latest observation on or before the same date last year,
+     * as long as it is no more than a month older
+     */
+    static percentChangeYear(points) {
+        const result = [];
+        const times = points.map(point => point.time !== undefined ? point.time : new Date(point.obs_date).getTime());
+        const maxGap = 31 * 24 * 60 * 60 * 1000;
+        
+        points.forEach((point, index) => {
+            const target = new Date(point.obs_date);
+            target.setFullYear(target.getFullYear() - 1);
+            
+            const previousIndex = ZCDataTransforms.findIndexOnOrBefore(times, target.getTime(), index);
+            if (previousIndex === -1 || target.getTime() - times[previousIndex] > maxGap) {
+                return;
+            }
+            
+            const value = ZCDataTransforms.percentChange(point.value, points[previousIndex].value);
+            if (value !== null) {
+                result.push({ obs_date: point.obs_date, value: value });
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Difference from the prior observation
+     */
+    static difference(points) {
+        const result = [];
+        
+        for (let i = 1; i < points.length; i++) {
+            result.push({
+                obs_date: points[i].obs_date,
+                value: points[i].value - points[i - 1].value
+            });
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Rebase the series to 100 at the given date
+     * Uses the first observation on or after the date, or the first observation if no date is given
+     */
+    static rebase(points, date) {
+        if (points.length === 0) {
+            return points;
+        }
+        
+        let base = points[0];
+        if (date) {
+            const baseTime = new Date(date).getTime();
+            base = points.find(point => new Date(point.obs_date).getTime() >= baseTime) || points[points.length - 1];
+        }
+        
+        if (!base.value) {
+            return [];
+        }
+        
+        return points.map(point => ({
+            obs_date: point.obs_date,
+            value: point.value / base.value * 100
+        }));
+    }
+    
+    /**
+     * Rolling mean or sum over a window of observations
+     */
+    static rolling(points, windowSize, mode) {
+        const size = Math.max(1, parseInt(windowSize, 10) || 1);
+        const result = [];
+        let sum = 0;
+        
+        points.forEach((point, index) => {
+            sum += point.value;
+            if (index >= size) {
+                sum -= points[index - size].value;
+            }
+            
+            if (index >= size - 1) {
+                result.push({
+                    obs_date: point.obs_date,
+                    value: mode === 'sum' ? sum : sum / size
+                });
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Cumulative sum of the series
+     */
+    static cumulativeSum(points) {
+        let sum = 0;
+        
+        return points.map(point => {
+            sum += point.value;
+            return { obs_date: point.obs_date, value: sum };
+        });
+    }
+    
+    /**
+     * Aggregate observations to a coarser frequency
+     * Periods are calendar weeks (starting Monday), months, quarters or years in UTC,
+     * and each period is dated by its first day
+     */
+    static resample(points, frequency, method = 'mean') {
+        const periodStart = ZCDataTransforms.periodStarts[frequency];
+        const aggregate = ZCDataTransforms.aggregations[method];
+        if (!periodStart || !aggregate) {
+            console.warn('Unknown resampling frequency or method:', frequency, method);
+            return points;
+        }
+        
+        // Points are sorted, so each period's observations are consecutive
+        const periods = [];
+        let current = null;
+        points.forEach(point => {
+            const start = periodStart(new Date(String(point.obs_date).substring(0, 10))).toISOString().substring(0, 10);
+            if (!current || current.start !== start) {
+                current = { start: start, values: [] };
+                periods.push(current);
+            }
+            current.values.push(point.value);
+        });
+        
+        return periods.map(period => ({
+            obs_date: period.start,
+            value: aggregate(period.values)
+        }));
+    }
+    
+    /**
+     * Reduce a long series to about the given number of points, keeping its shape
+     * Uses Largest-Triangle-Three-Buckets: the first and last points are kept, and from each
+     * bucket in between the point forming the largest triangle with its neighbours is picked.
+     * With a range ({ min, max } timestamps), points inside it are sampled on their own,
+     * so a zoomed-in window is drawn at full resolution.
+     */
+    static downsample(points, threshold, range = null) {
+        const time = point => point.time !== undefined ? point.time : new Date(point.obs_date).getTime();
+        
+        if (range) {
+            const inside = points.filter(point => time(point) >= range.min && time(point) <= range.max);
+            
+            // Outside the range keep the overview, so zooming out and panning still show the whole series
+            return ZCDataTransforms.downsample(points, threshold)
+                .filter(point => time(point) < range.min || time(point) > range.max)
+                .concat(ZCDataTransforms.downsample(inside, threshold))
+                .sort((a, b) => time(a) - time(b));
+        }
+        
+        const size = Math.floor(threshold);
+        if (!(size >= 3) || points.length <= size) {
+            return points;
+        }
+        
+        const times = points.map(time);
+        const bucketSize = (points.length - 2) / (size - 2);
+        const sampled = [points[0]];
+        let previous = 0;
+        
+        for (let bucket = 0; bucket < size - 2; bucket++) {
+            const start = Math.floor(bucket * bucketSize) + 1;
+            const end = Math.floor((bucket + 1) * bucketSize) + 1;
+            const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, points.length);
+            
+            // Average of the next bucket (the last point for the final bucket)
+            let averageTime = 0;
+            let averageValue = 0;
+            for (let i = end; i < nextEnd; i++) {
+                averageTime += times[i];
+                averageValue += points[i].value;
+            }
+            averageTime /= nextEnd - end;
+            averageValue /= nextEnd - end;
+            
+            let maxArea = -1;
+            let selected = start;
+            for (let i = start; i < end; i++) {
+                const area = Math.abs(
+                    (times[previous] - averageTime) * (points[i].value - points[previous].value) -
+                    (times[previous] - times[i]) * (averageValue - points[previous].value)
+                );
+                if (area > maxArea) {
+                    maxArea = area;
+                    selected = i;
+                }
+            }
+            
+            sampled.push(points[selected]);
+            previous = selected;
+        }
+        
+        sampled.push(points[points.length - 1]);
+        return sampled;
+    }
+    
+    /**
+     * Binary search for the last timestamp on or before the target
+     */
+    static findIndexOnOrBefore(times, target, end) {
+        let low = 0;
+        let high = end - 1;
+        let found = -1;
+        
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (times[middle] <= target) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        
+        return found;
+    }
+}
+
+/**
+ * Available transforms
+ * Each entry applies the transform and derives the axis label from the source units
+ */
+ZCDataTransforms.transforms = {
+    pct_change: {
+        label: '% change (period)',
+        apply: points => ZCDataTransforms.percentChangePeriod(points),
+        units: () => ZCI18n.text('unitsChangePeriod')
+    },
+    yoy: {
+        label: '% change (year)',
+        apply: points => ZCDataTransforms.percentChangeYear(points),
+        units: () => ZCI18n.text('unitsChangeYear')
+    },
+    diff: {
+        label: 'Change',
+        apply: points => ZCDataTransforms.difference(points),
+        units: units => ZCI18n.text('unitsChange', units)
+    },
+    index: {
+        label: 'Index (=100)',
+        apply: (points, date) => ZCDataTransforms.rebase(points, date),
+        units: (units, date) => date ? ZCI18n.text('unitsIndex', date) : ZCI18n.text('unitsIndexStart')
+    },
+    rolling_mean: {
+        label: 'Moving average',
+        apply: (points, size) => ZCDataTransforms.rolling(points, size, 'mean'),
+        units: (units, size) => ZCI18n.text('unitsAverage', units, parseInt(size, 10) || 1)
+    },
+    rolling_sum: {
+        label: 'Rolling sum',
+        apply: (points, size) => ZCDataTransforms.rolling(points, size, 'sum'),
+        units: (units, size) => ZCI18n.text('unitsSum', units, parseInt(size, 10) || 1)
+    },
+    cumsum: {
+        label: 'Cumulative sum',
+        apply: points => ZCDataTransforms.cumulativeSum(points),
+        units: units => ZCI18n.text('unitsCumulative', units)
+    },
+    resample: {
+        label: 'Resample',
+        apply: (points, param) => {
+            const [frequency, method] = String(param || '').split(':');
+            return ZCDataTransforms.resample(points, frequency, method || 'mean');
+        },
+        units: units => units
+    }
+};
+
+// Points drawn per series when the chart's width is unknown (e.g. while it is hidden)
+ZCDataTransforms.defaultPointLimit = 1000;
+
+/**
+ * Start of the calendar period containing a UTC date, per resampling frequency
+ */
+ZCDataTransforms.periodStarts = {
+    daily: date => date,
+    weekly: date => new Date(date.getTime() - (date.getUTCDay() + 6) % 7 * 24 * 60 * 60 * 1000),
+    monthly: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    quarterly: date => new Date(Date.UTC(date.getUTCFullYear(), Math.floor(date.getUTCMonth() / 3) * 3, 1)),
+    annual: date => new Date(Date.UTC(date.getUTCFullYear(), 0, 1))
+};
+
+/**
+ * Aggregation methods for resampling, applied to the values within a period
+ */
+ZCDataTransforms.aggregations = {
+    mean: values => values.reduce((sum, value) => sum + value, 0) / values.length,
+    sum: values => values.reduce((sum, value) => sum + value, 0),
+    first: values => values[0],
+    last: values => values[values.length - 1],
+    min: values => values.reduce((min, value) => Math.min(min, value)),
+    max: values => values.reduce((max, value) => Math.max(max, value))
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCDataTransforms;
+}
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * ZC Charts Data Worker
+ * Runs ZCDataPipeline steps off the main thread
+ */
+
+// Load the pipeline from this directory, with the same version string as this script
+importScripts.apply(self, ['i18n.js', 'data-transforms.js', 'data-pipeline.js'].map(name => name + self.location.search));
+
+self.addEventListener('message', event => {
+    const { id, method, args } = event.data;
+    
+    try {
+        if (typeof ZCDataPipeline[method] !== 'function') {
+            throw new Error(`Unknown data pipeline step "${method}"`);
+        }
+        self.postMessage({ id: id, result: ZCDataPipeline[method](...args) });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message });
+    }
+});
\ No newline at end of file
@@ -59,10 +59,10 @@ class ZCFallbackHandler {
         const checkUrl = `${zcChartsConfig.restUrl}zc-dmt/v1/backup/${indicatorSlug}/check?access_key=${apiKey}`;
         
         try {
-            const response = await fetch(checkUrl, {
+            const response = await this.fetchWithRetry(checkUrl, {
                 method: 'GET',
                 timeout: 10000
-            });
+            }, 0);
             
             if (!response.ok) {
                 return false;
@@ -87,10 +87,10 @@ class ZCFallbackHandler {
         const infoUrl = `${zcChartsConfig.restUrl}zc-dmt/v1/backup/${indicatorSlug}/info?access_key=${apiKey}`;
         
         try {
-            const response = await fetch(infoUrl, {
+            const response = await this.fetchWithRetry(infoUrl, {
                 method: 'GET',
                 timeout: 10000
-            });
+            }, 0);
             
             if (!response.ok) {
                 return null;
@@ -154,6 +154,11 @@ class ZCFallbackHandler {
             // Get backup data
             const backupData = await this.getBackupData(indicatorSlug, apiKey);
             
+            // Date the backup from its info when the backup itself does not say
+            if (!backupData.last_backup) {
+                backupData.last_backup = await this.getLastBackupTimestamp(indicatorSlug, apiKey);
+            }
+            
             // Log successful fallback
             this.logFallbackSuccess(indicatorSlug, backupData.data ? backupData.data.length : 0);
             
@@ -206,44 +211,51 @@ class ZCFallbackHandler {
     }
     
     /**
-     * Show fallback notice to user
+     * Show that a chart is drawn from backup data, and how old the backup is
+     * Each chart has one notice, after its container; showing it again updates the text.
      */
-    showFallbackNotice(container) {
-        // Check if notice already exists
-        const existingNotice = container.querySelector('.zc-chart-fallback-notice');
-        if (existingNotice) {
-            return;
-        }
+    showFallbackNotice(container, lastBackup = null) {
+        let notice = this.getFallbackNotice(container);
         
-        // Create notice element
-        const notice = document.createElement('div');
-        notice.className = 'zc-chart-fallback-notice';
-        notice.innerHTML = `
-            <div class="notice-content">
-                <span class="notice-icon">ℹ️</span>
-                <span class="notice-text">Displaying cached data</span>
-            </div>
-        `;
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.className = 'zc-chart-notice';
+            notice.dataset.chartId = container.id;
+            notice.setAttribute('role', 'status');
+            container.parentNode.insertBefore(notice, container.nextSibling);
+        }
         
-        // Insert notice before the chart container
-        container.parentNode.insertBefore(notice, container);
+        notice.textContent = this.getFallbackNoticeMessage(lastBackup);
     }
     
     /**
      * Hide fallback notice
      */
     hideFallbackNotice(container) {
-        const notice = container.parentNode.querySelector('.zc-chart-fallback-notice');
+        const notice = this.getFallbackNotice(container);
         if (notice) {
             notice.remove();
         }
     }
     
     /**
-     * Get fallback notice message
+     * Get the fallback notice shown for a chart, if any
+     */
+    getFallbackNotice(container) {
+        if (!container.parentNode) {
+            return null;
+        }
+        
+        return container.parentNode.querySelector(`.zc-chart-notice[data-chart-id="${container.id}"]`);
+    }
+    
+    /**
+     * Get fallback notice message, e.g. "Cached data from 3 days ago"
      */
-    getFallbackNoticeMessage() {
-        return 'Displaying cached data';
+    getFallbackNoticeMessage(lastBackup = null) {
+        const age = lastBackup ? ZCI18n.formatRelativeTime(lastBackup) : '';
+        
+        return age ? ZCI18n.text('cachedDataFrom', age) : ZCI18n.text('cachedData');
     }
 }
 
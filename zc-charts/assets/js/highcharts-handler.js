@@ -3,18 +3,20 @@
  * Handles rendering charts using Highcharts library
  */
 
-class ZCHighchartsHandler {
+class ZCHighchartsHandler extends ZCBaseHandler {
     constructor(container, data, config) {
-        this.container = container;
-        this.data = data;
-        this.config = config;
-        this.chartInstance = null;
+        super(container, data, config);
+        this.onMouseLeave = () => this.setHoverTime(null);
+        this.onWheel = event => this.zoomWithWheel(event);
     }
     
     /**
      * Render chart using Highcharts
      */
     async render() {
+        // Downsample in the data pipeline before drawing
+        await this.prepareDrawnSeries();
+        
         // Destroy existing chart if it exists
         if (this.chartInstance) {
             try {
@@ -24,6 +26,8 @@ class ZCHighchartsHandler {
             }
         }
         
+        this.theme = ZCThemes.resolve(this.container, this.config);
+        
         // Prepare chart data
         const chartData = this.prepareChartData();
         
@@ -32,99 +36,229 @@ class ZCHighchartsHandler {
         
         // Create chart
         this.chartInstance = Highcharts.chart(this.container, chartOptions);
+        this.container.addEventListener('mouseleave', this.onMouseLeave);
+        this.container.addEventListener('wheel', this.onWheel, { passive: false });
+        
+        // Add the text summary and keyboard navigation
+        this.accessibility = this.accessibility || new ZCAccessibility(this);
+        this.accessibility.update();
     }
     
     /**
      * Prepare chart data for Highcharts
+     * Each series keeps its own points on the shared datetime axis. Long series are downsampled
+     * to about the chart's width, and the zoomed-in range at its own resolution.
      */
-    prepareChartData() {
-        const seriesData = [];
-        const labels = [];
-        
-        if (this.data && this.data.data && Array.isArray(this.data.data)) {
-            // Sort data by date
-            const sortedData = this.data.data.sort((a, b) => {
-                return new Date(a.obs_date) - new Date(b.obs_date);
+    prepareChartData(data = this.currentData) {
+        const labels = new Map();
+        
+        const seriesList = this.getDrawnSeries(data, this.getPointLimit(), this.visibleRange);
+        const hasRightAxis = seriesList.some(item => item.axis === 'right');
+        
+        const series = seriesList.map((item, index) => {
+            const seriesData = item.points.map(point => {
+                // Highcharts takes [timestamp, value] pairs
+                labels.set(point.obs_date, point.time);
+                return [point.time, point.value];
             });
             
-            sortedData.forEach(point => {
-                if (point.obs_date && point.value !== undefined) {
-                    // Convert date to timestamp for Highcharts
-                    const timestamp = new Date(point.obs_date).getTime();
-                    seriesData.push([timestamp, parseFloat(point.value)]);
-                    labels.push(point.obs_date);
+            return {
+                name: item.name,
+                data: seriesData,
+                color: this.getSeriesColor(index),
+                yAxis: hasRightAxis && item.axis === 'right' ? 1 : 0,
+                // Read by the tooltip formatter
+                custom: {
+                    units: item.units,
+                    decimals: item.decimals
                 }
-            });
-        }
+            };
+        });
         
         return {
-            labels: labels,
-            series: [{
-                name: this.data && this.data.indicator ? this.data.indicator.name : 'Indicator',
-                data: seriesData,
-                color: '#0073aa'
-            }]
+            labels: Array.from(labels.keys()).sort((a, b) => labels.get(a) - labels.get(b)),
+            series: series
         };
     }
     
+    /**
+     * Resample the series for the range zoomed into, or the whole series when the zoom is reset
+     */
+    setVisibleRange(min, max) {
+        const range = min === undefined || max === undefined || min === null || max === null ? null : { min: min, max: max };
+        if (JSON.stringify(range) === JSON.stringify(this.visibleRange)) {
+            return;
+        }
+        this.visibleRange = range;
+        
+        this.draw(false);
+        this.emit('zoom', range || { min: null, max: null });
+    }
+    
+    /**
+     * Zoom into a date range, following a zoom in another chart
+     * Without a range, the zoom is reset. Resolves once drawn.
+     */
+    setZoom(min, max) {
+        if (!this.chartInstance) {
+            return this.drawing;
+        }
+        
+        const zoomed = min !== undefined && max !== undefined && min !== null && max !== null;
+        this.chartInstance.xAxis[0].setExtremes(zoomed ? min : null, zoomed ? max : null);
+        
+        // Offer the reset button Highcharts shows after zooming by hand
+        if (zoomed && !this.chartInstance.resetZoomButton) {
+            this.chartInstance.showResetZoom();
+        } else if (!zoomed && this.chartInstance.resetZoomButton) {
+            this.chartInstance.resetZoomButton = this.chartInstance.resetZoomButton.destroy();
+        }
+        
+        // The new extremes are drawn by setVisibleRange()
+        return this.drawing;
+    }
+    
+    /**
+     * Zoom with the mouse wheel while Ctrl (or Cmd) is held, as in Chart.js charts
+     * Highcharts 10 itself zooms only by dragging and pinching
+     */
+    zoomWithWheel(event) {
+        const chart = this.chartInstance;
+        if (!chart || !(event.ctrlKey || event.metaKey) || !event.deltaY) {
+            return;
+        }
+        
+        const position = chart.pointer.normalize(event);
+        if (!chart.isInsidePlot(position.chartX - chart.plotLeft, position.chartY - chart.plotTop)) {
+            return;
+        }
+        
+        event.preventDefault();
+        const axis = chart.xAxis[0];
+        const extremes = axis.getExtremes();
+        const time = axis.toValue(position.chartX);
+        const factor = Math.min(Math.max(Math.pow(2, event.deltaY / 300), 0.5), 2);
+        const min = Math.max(time - (time - extremes.min) * factor, extremes.dataMin);
+        const max = Math.min(time + (extremes.max - time) * factor, extremes.dataMax);
+        
+        if (min <= extremes.dataMin && max >= extremes.dataMax) {
+            this.setZoom(null, null);
+        } else {
+            this.setZoom(min, max);
+        }
+    }
+    
+    /**
+     * Show the crosshair and tooltip at the observation nearest to a date hovered in another chart
+     * Dates outside the series drawn hide them instead
+     */
+    showCrosshair(time) {
+        const series = this.chartInstance ? this.chartInstance.series.find(item => item.visible !== false && item.points.length) : null;
+        if (!series || time < series.points[0].x || time > series.points[series.points.length - 1].x) {
+            this.hideCrosshair();
+            return;
+        }
+        
+        series.points.reduce((nearest, point) =>
+            Math.abs(point.x - time) < Math.abs(nearest.x - time) ? point : nearest).onMouseOver();
+    }
+    
+    /**
+     * Hide the crosshair and tooltip shown for another chart
+     */
+    hideCrosshair() {
+        this.clearHighlight();
+    }
+    
+    /**
+     * Get chart title from the indicator names
+     */
+    getChartTitle(chartData) {
+        if (this.config.title) {
+            return this.config.title;
+        }
+        
+        if (!chartData.series.length) {
+            return ZCI18n.text('indicator');
+        }
+        
+        return chartData.series.map(item => item.name).reduce((title, name) => ZCI18n.text('versus', title, name));
+    }
+    
     /**
      * Prepare chart options for Highcharts
      */
     prepareChartOptions(chartData) {
+        const animate = !ZCAccessibility.prefersReducedMotion();
+        const frequency = ZCI18n.getFrequencies(this.getSeriesList(this.currentData)).data;
+        
+        // Date labels are never finer than the interval Highcharts chose for the ticks
+        const tickFrequencies = { week: 'weekly', month: 'monthly', year: 'annual' };
+        
         return {
             chart: {
                 type: 'line',
                 zoomType: 'x',
                 panning: true,
                 panKey: 'shift',
-                backgroundColor: this.isDarkMode() ? '#1e1e1e' : '#ffffff'
+                backgroundColor: this.theme.background,
+                animation: animate
             },
             title: {
-                text: this.data && this.data.indicator ? this.data.indicator.name : 'Indicator',
+                text: this.getChartTitle(chartData),
                 style: {
-                    color: this.isDarkMode() ? '#ffffff' : '#333333'
+                    color: this.theme.text
                 }
             },
             xAxis: {
                 type: 'datetime',
                 title: {
-                    text: 'Date',
+                    text: ZCI18n.text('date'),
                     style: {
-                        color: this.isDarkMode() ? '#cccccc' : '#666666'
+                        color: this.theme.mutedText
                     }
                 },
                 labels: {
                     style: {
-                        color: this.isDarkMode() ? '#cccccc' : '#666666'
-                    }
-                },
-                gridLineColor: this.isDarkMode() ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
-            },
-            yAxis: {
-                title: {
-                    text: this.data && this.data.indicator && this.data.indicator.units ? 
-                          this.data.indicator.units : 'Value',
-                    style: {
-                        color: this.isDarkMode() ? '#cccccc' : '#666666'
+                        color: this.theme.mutedText
+                    },
+                    formatter: function() {
+                        const unit = this.tickPositionInfo && tickFrequencies[this.tickPositionInfo.unitName];
+                        return ZCI18n.formatDate(this.value, unit ? ZCI18n.coarserFrequency(frequency, unit) : frequency);
                     }
                 },
-                labels: {
-                    style: {
-                        color: this.isDarkMode() ? '#cccccc' : '#666666'
-                    }
+                gridLineColor: this.theme.grid,
+                crosshair: {
+                    color: this.theme.axis,
+                    dashStyle: 'ShortDash'
                 },
-                gridLineColor: this.isDarkMode() ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+                plotBands: this.getRangePlotBands(),
+                plotLines: this.getEventPlotLines(),
+                events: {
+                    // Zooming and panning give user extremes; resetting the zoom clears them
+                    afterSetExtremes: event => this.setVisibleRange(event.userMin, event.userMax)
+                }
             },
+            yAxis: this.prepareYAxes(),
             legend: {
                 enabled: true,
                 itemStyle: {
-                    color: this.isDarkMode() ? '#ffffff' : '#333333'
+                    color: this.theme.text
                 },
                 itemHoverStyle: {
-                    color: this.isDarkMode() ? '#cccccc' : '#000000'
+                    color: this.theme.mutedText
                 }
             },
             plotOptions: {
+                series: {
+                    animation: animate,
+                    point: {
+                        events: {
+                            // Share the hovered date with charts in the same sync group
+                            mouseOver: event => this.setHoverTime(event.target.x)
+                        }
+                    }
+                },
                 line: {
                     lineWidth: 2,
                     states: {
@@ -140,9 +274,6 @@ class ZCHighchartsHandler {
                             }
                         }
                     }
-                },
-                series: {
-                    color: '#0073aa'
                 }
             },
             series: chartData.series,
@@ -162,134 +293,234 @@ class ZCHighchartsHandler {
                 enabled: false
             },
             tooltip: {
-                backgroundColor: this.isDarkMode() ? 'rgba(30, 30, 30, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+                backgroundColor: this.theme.tooltipBackground,
                 style: {
-                    color: this.isDarkMode() ? '#ffffff' : '#000000'
+                    color: this.theme.tooltipText
                 },
-                borderColor: this.isDarkMode() ? '#555555' : '#cccccc',
+                borderColor: this.theme.tooltipBorder,
                 borderRadius: 4,
-                shadow: true
+                shadow: true,
+                formatter: function() {
+                    return `<span style="font-size: 10px">${ZCI18n.formatDate(this.x, frequency)}</span><br/>` +
+                        `<span style="color:${this.color}">\u25CF</span> ${ZCI18n.escapeHtml(this.series.name)}: ` +
+                        `<b>${ZCI18n.escapeHtml(ZCI18n.formatValue(this.y, this.series.options.custom || {}))}</b>`;
+                }
             }
         };
     }
     
     /**
-     * Check if dark mode is enabled
+     * Prepare the y-axes; a right-hand axis is added when any series uses it
      */
-    isDarkMode() {
-        // Check for prefers-color-scheme media query
-        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-            return true;
-        }
+    prepareYAxes() {
+        const series = this.getSeriesList();
+        const sides = series.some(item => item.axis === 'right') ? ['left', 'right'] : ['left'];
+        const units = {
+            left: this.getAxisUnits(series, 'left'),
+            right: this.getAxisUnits(series, 'right')
+        };
         
-        // Check for dark mode class on body (if used by theme)
-        if (document.body.classList.contains('dark-mode') || 
-            document.body.classList.contains('dark')) {
-            return true;
-        }
+        // Reference lines for the right axis fall back to the left one when there is none
+        const lines = ZCAnnotations.ofType(this.annotations, 'line').map(line => ({
+            ...line,
+            axis: line.axis === 'right' && sides.length > 1 ? 'right' : 'left'
+        }));
         
-        return false;
+        return sides.map(side => ({
+            ...this.getReferencePlotLines(lines.filter(line => line.axis === side)),
+            title: {
+                text: this.getAxisTitle(series, side),
+                style: {
+                    color: this.theme.mutedText
+                }
+            },
+            labels: {
+                style: {
+                    color: this.theme.mutedText
+                },
+                formatter: function() {
+                    return ZCI18n.formatTick(this.value, units[side]);
+                }
+            },
+            opposite: side === 'right',
+            gridLineColor: this.theme.grid,
+            gridLineWidth: side === 'right' ? 0 : 1
+        }));
     }
     
     /**
-     * Update chart with new data
+     * Get x-axis plot bands for the shaded date ranges
      */
-    updateData(newData) {
-        if (!this.chartInstance) {
-            return;
+    getRangePlotBands() {
+        return ZCAnnotations.ofType(this.annotations, 'range').map(range => {
+            const band = {
+                from: range.from,
+                to: range.to,
+                color: range.color,
+                zIndex: 0
+            };
+            
+            if (range.label) {
+                band.label = {
+                    text: range.label,
+                    align: 'left',
+                    x: 4,
+                    y: 14,
+                    style: {
+                        color: this.theme.mutedText,
+                        fontSize: '11px'
+                    }
+                };
+            }
+            
+            return band;
+        });
+    }
+    
+    /**
+     * Get x-axis plot lines for the event markers
+     */
+    getEventPlotLines() {
+        return ZCAnnotations.ofType(this.annotations, 'event').map(event => {
+            const plotLine = {
+                value: event.date,
+                color: event.color,
+                width: 1,
+                dashStyle: 'Dash',
+                zIndex: 3
+            };
+            
+            if (event.label) {
+                plotLine.label = {
+                    text: event.label,
+                    rotation: 0,
+                    align: 'left',
+                    x: 4,
+                    y: 28,
+                    style: {
+                        color: this.theme.mutedText,
+                        fontSize: '11px'
+                    }
+                };
+            }
+            
+            return plotLine;
+        });
+    }
+    
+    /**
+     * Get the y-axis plot lines for reference lines, with soft limits that keep them in view
+     */
+    getReferencePlotLines(lines) {
+        if (!lines.length) {
+            return {};
         }
         
-        // Prepare new chart data
-        const chartData = this.prepareChartData(newData);
+        const values = lines.map(line => line.value);
         
-        // Update chart series
-        this.chartInstance.series[0].setData(chartData.series[0].data);
-        this.chartInstance.setTitle({
-            text: chartData.series[0].name
-        });
+        return {
+            softMin: Math.min.apply(null, values),
+            softMax: Math.max.apply(null, values),
+            plotLines: lines.map(line => {
+                const plotLine = {
+                    value: line.value,
+                    color: line.color,
+                    width: 1,
+                    dashStyle: 'ShortDash',
+                    zIndex: 3
+                };
+                
+                if (line.label) {
+                    plotLine.label = {
+                        text: line.label,
+                        align: 'right',
+                        x: -4,
+                        y: -4,
+                        style: {
+                            color: line.color,
+                            fontSize: '11px'
+                        }
+                    };
+                }
+                
+                return plotLine;
+            })
+        };
     }
     
     /**
-     * Change chart type
+     * Resolve the theme again and restyle the chart in place
      */
-    changeChartType(type) {
+    applyTheme() {
         if (!this.chartInstance) {
             return;
         }
         
-        // Update chart type
+        this.theme = ZCThemes.resolve(this.container, this.config);
+        
+        const options = this.prepareChartOptions(this.prepareChartData(this.currentData));
         this.chartInstance.update({
             chart: {
-                type: type
-            }
+                backgroundColor: options.chart.backgroundColor
+            },
+            title: options.title,
+            xAxis: options.xAxis,
+            yAxis: options.yAxis,
+            legend: options.legend,
+            tooltip: options.tooltip
+        }, false);
+        
+        this.chartInstance.series.forEach((series, index) => {
+            series.update({ color: this.getSeriesColor(index) }, false);
         });
+        
+        this.chartInstance.redraw();
     }
     
     /**
-     * Apply timeframe filter
+     * Draw the current data into the chart
+     * The animation is passed to Highcharts, e.g. false to skip it
      */
-    applyTimeframeFilter(timeframe) {
-        if (!this.chartInstance || !this.data || !this.data.data) {
-            return;
+    redraw(animation) {
+        // Prepare new chart data
+        const chartData = this.prepareChartData(this.currentData);
+        
+        // Update chart series without redrawing after each one
+        chartData.series.forEach((item, index) => {
+            const existing = this.chartInstance.series[index];
+            if (existing) {
+                existing.setData(item.data, false);
+            } else {
+                this.chartInstance.addSeries(item, false);
+            }
+        });
+        
+        // Remove series that are no longer present
+        while (this.chartInstance.series.length > chartData.series.length) {
+            this.chartInstance.series[this.chartInstance.series.length - 1].remove(false);
         }
         
-        // Filter data based on timeframe
-        const filteredData = this.filterDataByTimeframe(this.data.data, timeframe);
+        this.chartInstance.setTitle({
+            text: this.getChartTitle(chartData)
+        }, undefined, false);
         
-        // Update chart with filtered data
-        this.updateData({  filteredData });
+        this.chartInstance.redraw(animation);
+        this.accessibility.update();
     }
     
     /**
-     * Filter data by timeframe
+     * Change chart type
      */
-    filterDataByTimeframe(data, timeframe) {
-        if (!data || !Array.isArray(data)) {
-            return data;
-        }
-        
-        // Determine cutoff date based on timeframe
-        const cutoffDate = new Date();
-        switch (timeframe) {
-            case '3m':
-                cutoffDate.setMonth(cutoffDate.getMonth() - 3);
-                break;
-            case '6m':
-                cutoffDate.setMonth(cutoffDate.getMonth() - 6);
-                break;
-            case '1y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 1);
-                break;
-            case '2y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 2);
-                break;
-            case '3y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 3);
-                break;
-            case '5y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 5);
-                break;
-            case '10y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 10);
-                break;
-            case '15y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 15);
-                break;
-            case '20y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 20);
-                break;
-            case '25y':
-                cutoffDate.setFullYear(cutoffDate.getFullYear() - 25);
-                break;
-            default:
-                return data; // 'all' or unknown timeframe
+    changeChartType(type) {
+        if (!this.chartInstance) {
+            return;
         }
         
-        // Filter data
-        return data.filter(point => {
-            if (!point.obs_date) return false;
-            const pointDate = new Date(point.obs_date);
-            return pointDate >= cutoffDate;
+        // Highcharts "bar" is horizontal; vertical bars are "column"
+        this.chartInstance.update({
+            chart: {
+                type: type === 'bar' ? 'column' : type
+            }
         });
     }
     
@@ -303,9 +534,20 @@ class ZCHighchartsHandler {
         
         return new Promise((resolve, reject) => {
             try {
-                // Highcharts has built-in export functionality
-                const imageUrl = this.chartInstance.createCanvas();
-                resolve(imageUrl);
+                // Serialize the rendered SVG and draw it onto a canvas
+                const svg = this.chartInstance.container.querySelector('svg');
+                const svgData = new XMLSerializer().serializeToString(svg);
+                const image = new Image();
+                
+                image.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = this.chartInstance.chartWidth;
+                    canvas.height = this.chartInstance.chartHeight;
+                    canvas.getContext('2d').drawImage(image, 0, 0);
+                    resolve(canvas.toDataURL(`image/${format}`));
+                };
+                image.onerror = () => reject(new Error('Failed to render chart image'));
+                image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgData);
             } catch (error) {
                 reject(error);
             }
@@ -313,17 +555,81 @@ class ZCHighchartsHandler {
     }
     
     /**
-     * Toggle fullscreen mode
+     * Render a light-theme copy of the chart off screen for image export
+     * Resolves with { url, width, height }, where url is an SVG data URL
      */
-    toggleFullscreen() {
-        if (!document.fullscreenElement) {
-            this.container.requestFullscreen().catch(err => {
-                console.error('Error attempting to enable fullscreen:', err);
+    renderForExport(options) {
+        const holder = ZCImageExport.createOffscreenHolder(options.width, options.height);
+        
+        // Exports always use the light theme
+        const theme = this.theme;
+        this.theme = ZCThemes.resolve(this.container, this.config, 'light');
+        
+        try {
+            const chartOptions = this.prepareChartOptions(this.prepareChartData(this.currentData));
+            
+            // The composed export draws its own title
+            chartOptions.title = { text: null };
+            chartOptions.chart = {
+                ...chartOptions.chart,
+                type: this.chartInstance.options.chart.type,
+                width: options.width,
+                height: options.height,
+                animation: false
+            };
+            chartOptions.plotOptions.series = { animation: false };
+            chartOptions.series.forEach((item, index) => {
+                item.visible = this.isSeriesVisible(index);
             });
-        } else {
-            if (document.exitFullscreen) {
-                document.exitFullscreen();
-            }
+            
+            const chart = Highcharts.chart(holder, chartOptions);
+            const svgData = new XMLSerializer().serializeToString(chart.container.querySelector('svg'));
+            chart.destroy();
+            
+            return Promise.resolve({
+                url: 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgData),
+                width: options.width,
+                height: options.height
+            });
+        } catch (error) {
+            return Promise.reject(error);
+        } finally {
+            this.theme = theme;
+            holder.remove();
+        }
+    }
+    
+    /**
+     * Check if a series is shown (not hidden through the legend)
+     */
+    isSeriesVisible(index) {
+        const series = this.chartInstance.series[index];
+        return !series || series.visible !== false;
+    }
+    
+    /**
+     * Show the tooltip for a point selected with the keyboard
+     */
+    highlightPoint(seriesIndex, point) {
+        const series = this.chartInstance.series[seriesIndex];
+        if (!series || !series.points.length) {
+            return;
+        }
+        
+        // Downsampled series may not draw this exact date; use the nearest point drawn
+        const time = new Date(point.obs_date).getTime();
+        const target = series.points.reduce((nearest, item) =>
+            Math.abs(item.x - time) < Math.abs(nearest.x - time) ? item : nearest);
+        
+        target.onMouseOver();
+    }
+    
+    /**
+     * Hide the keyboard tooltip
+     */
+    clearHighlight() {
+        if (this.chartInstance) {
+            this.chartInstance.pointer.reset(false, 0);
         }
     }
     
@@ -339,9 +645,27 @@ class ZCHighchartsHandler {
             }
             this.chartInstance = null;
         }
+        this.container.removeEventListener('mouseleave', this.onMouseLeave);
+        this.container.removeEventListener('wheel', this.onWheel);
+        
+        super.destroy();
     }
 }
 
+// Register with the chart loader
+if (typeof window !== 'undefined' && window.zcChartRenderers) {
+    window.zcChartRenderers.register('highcharts', {
+        label: 'Highcharts',
+        handler: ZCHighchartsHandler,
+        global: 'Highcharts',
+        capabilities: {
+            types: ['line', 'bar', 'area'],
+            exportFormats: ['png', 'svg', 'pdf', 'csv', 'json', 'xlsx'],
+            zoom: true
+        }
+    });
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ZCHighchartsHandler;
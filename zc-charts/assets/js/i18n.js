@@ -0,0 +1,375 @@
+/**
+ * ZC Charts Internationalization
+ * Locale-aware number, date and unit formatting, and the translated UI strings passed from WordPress
+ */
+
+class ZCI18n {
+    /**
+     * Get the site locale as a BCP 47 tag (e.g. "de-DE")
+     * Returns undefined to use the browser's locale
+     */
+    static getLocale() {
+        if (typeof zcChartsConfig !== 'undefined' && zcChartsConfig.locale) {
+            return zcChartsConfig.locale;
+        }
+        
+        return undefined;
+    }
+    
+    /**
+     * Get a translated UI string
+     * Placeholders use the WordPress sprintf style: %s, or %1$s, %2$s for numbered arguments.
+     */
+    static text(key, ...args) {
+        const translations = typeof zcChartsConfig !== 'undefined' && zcChartsConfig.i18n ? zcChartsConfig.i18n : {};
+        const template = translations[key] || ZCI18n.strings[key] || key;
+        let position = 0;
+        
+        return template.replace(/%(?:(\d+)\$)?s/g, (match, index) => {
+            const value = index ? args[parseInt(index, 10) - 1] : args[position++];
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+    
+    /**
+     * Get a cached number formatter for the site locale
+     */
+    static getNumberFormat(options) {
+        const key = 'number:' + JSON.stringify(options);
+        if (!ZCI18n.formatters.has(key)) {
+            let formatter;
+            try {
+                formatter = new Intl.NumberFormat(ZCI18n.getLocale(), options);
+            } catch (error) {
+                // Unsupported locale or option (e.g. compact notation in older browsers)
+                const { notation, compactDisplay, ...fallback } = options;
+                formatter = new Intl.NumberFormat(undefined, fallback);
+            }
+            ZCI18n.formatters.set(key, formatter);
+        }
+        
+        return ZCI18n.formatters.get(key);
+    }
+    
+    /**
+     * Get a cached date formatter for the site locale
+     * Dates are formatted in UTC, as observation dates have no time zone
+     */
+    static getDateFormat(options) {
+        const key = 'date:' + JSON.stringify(options);
+        if (!ZCI18n.formatters.has(key)) {
+            const format = { ...options, timeZone: 'UTC' };
+            let formatter;
+            try {
+                formatter = new Intl.DateTimeFormat(ZCI18n.getLocale(), format);
+            } catch (error) {
+                formatter = new Intl.DateTimeFormat(undefined, format);
+            }
+            ZCI18n.formatters.set(key, formatter);
+        }
+        
+        return ZCI18n.formatters.get(key);
+    }
+    
+    /**
+     * Get the Intl style for a unit: percent for "%" or "percent", currency for known ISO codes and symbols
+     * Returns null for other units, which are written after the number
+     */
+    static getUnitStyle(units) {
+        const unit = String(units || '').trim();
+        if (!unit) {
+            return null;
+        }
+        
+        // Transformed units such as "% change from year ago" are percentages too
+        if (unit === '%' || /^%\s/.test(unit) || /^(percent|pct)$/i.test(unit)) {
+            return { style: 'percent' };
+        }
+        
+        const currency = ZCI18n.currencySymbols[unit] || (ZCI18n.currencies.includes(unit) ? unit : null);
+        if (currency) {
+            return { style: 'currency', currency: currency };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Format a number with thousands separators, and as a percentage or currency when the units say so
+     * Options: units, decimals (fixed decimal places), compact (1.2K, 3.4B)
+     */
+    static formatNumber(value, options = {}) {
+        const number = Number(value);
+        if (value === null || value === undefined || value === '' || !isFinite(number)) {
+            return '';
+        }
+        
+        const format = { minimumFractionDigits: 0, maximumFractionDigits: 2 };
+        if (options.compact) {
+            format.notation = 'compact';
+            format.maximumFractionDigits = 1;
+        } else if (options.decimals !== undefined && options.decimals !== null && options.decimals !== '') {
+            const decimals = Math.min(Math.max(parseInt(options.decimals, 10) || 0, 0), 10);
+            format.minimumFractionDigits = decimals;
+            format.maximumFractionDigits = decimals;
+        }
+        
+        const unit = ZCI18n.getUnitStyle(options.units);
+        if (unit && unit.style === 'percent') {
+            return ZCI18n.getNumberFormat({ ...format, style: 'percent' }).format(number / 100);
+        }
+        if (unit) {
+            return ZCI18n.getNumberFormat({ ...format, style: 'currency', currency: unit.currency }).format(number);
+        }
+        
+        return ZCI18n.getNumberFormat(format).format(number);
+    }
+    
+    /**
+     * Format a value with its units, e.g. "1,234.5 Index" or "3.2%"
+     */
+    static formatValue(value, options = {}) {
+        const text = ZCI18n.formatNumber(value, options);
+        if (!text || !options.units || ZCI18n.getUnitStyle(options.units)) {
+            return text;
+        }
+        
+        return `${text} ${options.units}`;
+    }
+    
+    /**
+     * Escape text for use in HTML, e.g. series names in tooltip markup
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+    
+    /**
+     * Format an axis tick; large values use compact notation
+     * Units are applied only when they have a style (percent or currency), as the axis title names the rest
+     */
+    static formatTick(value, units = '') {
+        return ZCI18n.formatNumber(value, {
+            units: units,
+            compact: Math.abs(value) >= 10000
+        });
+    }
+    
+    /**
+     * Parse an observation date or timestamp into a UTC timestamp
+     */
+    static parseDate(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        
+        // Date-only ISO strings are parsed as UTC
+        return new Date(String(value).substring(0, 10)).getTime();
+    }
+    
+    /**
+     * Detect the frequency of a series from the median gap between its dates
+     * Returns one of the names in ZCI18n.frequencies
+     */
+    static detectFrequency(dates) {
+        const times = dates.map(ZCI18n.parseDate).filter(time => isFinite(time)).sort((a, b) => a - b);
+        const gaps = [];
+        for (let i = 1; i < times.length; i++) {
+            if (times[i] > times[i - 1]) {
+                gaps.push((times[i] - times[i - 1]) / 86400000);
+            }
+        }
+        
+        if (!gaps.length) {
+            return 'daily';
+        }
+        
+        gaps.sort((a, b) => a - b);
+        const median = gaps[Math.floor(gaps.length / 2)];
+        
+        return ZCI18n.frequencies.find(frequency => median <= frequency.maxGap).name;
+    }
+    
+    /**
+     * Get the frequencies for a list of series (as returned by a handler's getSeriesList)
+     * Returns { data, labels }: labels is the data frequency, but coarser for long spans
+     */
+    static getFrequencies(series) {
+        const dates = [];
+        series.forEach(item => item.points.forEach(point => dates.push(point.obs_date)));
+        
+        const frequency = ZCI18n.detectFrequency(dates);
+        const times = dates.map(ZCI18n.parseDate).filter(time => isFinite(time));
+        const days = times.length ?
+            (times.reduce((max, time) => Math.max(max, time)) - times.reduce((min, time) => Math.min(min, time))) / 86400000 :
+            0;
+        
+        return {
+            data: frequency,
+            labels: ZCI18n.coarserFrequency(frequency, days > 10 * 365 ? 'annual' : (days > 180 ? 'monthly' : 'daily'))
+        };
+    }
+    
+    /**
+     * Get the coarser of two frequencies
+     */
+    static coarserFrequency(first, second) {
+        const names = ZCI18n.frequencies.map(item => item.name);
+        return names[Math.max(names.indexOf(first), names.indexOf(second))];
+    }
+    
+    /**
+     * Format a date for the data frequency, e.g. "Mar 5, 2024", "Mar 2024", "Q1 2024" or "2024"
+     */
+    static formatDate(value, frequency = 'daily') {
+        const time = ZCI18n.parseDate(value);
+        if (!isFinite(time)) {
+            return String(value);
+        }
+        
+        const date = new Date(time);
+        if (frequency === 'quarterly') {
+            return ZCI18n.text('quarter', Math.floor(date.getUTCMonth() / 3) + 1, ZCI18n.getDateFormat({ year: 'numeric' }).format(date));
+        }
+        
+        return ZCI18n.getDateFormat(ZCI18n.dateFormats[frequency] || ZCI18n.dateFormats.daily).format(date);
+    }
+    
+    /**
+     * Format how long ago a time was, e.g. "3 days ago" or "yesterday"
+     * Returns an empty string for values that are not dates
+     */
+    static formatRelativeTime(value, now = Date.now()) {
+        const time = typeof value === 'number' ? value : new Date(value).getTime();
+        if (!isFinite(time) || typeof Intl.RelativeTimeFormat !== 'function') {
+            return '';
+        }
+        
+        // Times a little ahead of the browser's clock are "now"
+        const seconds = Math.max((now - time) / 1000, 0);
+        const unit = ZCI18n.relativeTimeUnits.find(item => seconds < item.limit);
+        
+        let formatter;
+        try {
+            formatter = new Intl.RelativeTimeFormat(ZCI18n.getLocale(), { numeric: 'auto' });
+        } catch (error) {
+            formatter = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+        }
+        
+        return formatter.format(-Math.floor(seconds / unit.seconds), unit.name);
+    }
+    
+    /**
+     * Join names into a list, e.g. "GDP, CPI and Unemployment"
+     */
+    static formatList(items) {
+        if (items.length < 2) {
+            return items.join('');
+        }
+        
+        return ZCI18n.text('and', items.slice(0, -1).join(', '), items[items.length - 1]);
+    }
+}
+
+// Data frequencies by the largest median gap between observations, in days
+ZCI18n.frequencies = [
+    { name: 'daily', maxGap: 1.5 },
+    { name: 'weekly', maxGap: 8 },
+    { name: 'monthly', maxGap: 35 },
+    { name: 'quarterly', maxGap: 100 },
+    { name: 'annual', maxGap: Infinity }
+];
+
+// Date label formats per frequency (quarters are built from the "quarter" string)
+ZCI18n.dateFormats = {
+    daily: { year: 'numeric', month: 'short', day: 'numeric' },
+    weekly: { year: 'numeric', month: 'short', day: 'numeric' },
+    monthly: { year: 'numeric', month: 'short' },
+    annual: { year: 'numeric' }
+};
+
+// Units for relative times, each used below its limit in seconds
+ZCI18n.relativeTimeUnits = [
+    { name: 'minute', seconds: 60, limit: 3600 },
+    { name: 'hour', seconds: 3600, limit: 86400 },
+    { name: 'day', seconds: 86400, limit: 30 * 86400 },
+    { name: 'month', seconds: 30 * 86400, limit: 365 * 86400 },
+    { name: 'year', seconds: 365 * 86400, limit: Infinity }
+];
+
+// Currency symbols used as units
+ZCI18n.currencySymbols = {
+    '$': 'USD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₹': 'INR'
+};
+
+// ISO 4217 codes formatted as currency; other three-letter units such as "GDP" or "CPI" are not
+ZCI18n.currencies = [
+    'AED', 'ARS', 'AUD', 'BRL', 'CAD', 'CHF', 'CLP', 'CNY', 'COP', 'CZK', 'DKK', 'EGP', 'EUR', 'GBP',
+    'HKD', 'HUF', 'IDR', 'ILS', 'INR', 'ISK', 'JPY', 'KRW', 'MXN', 'MYR', 'NGN', 'NOK', 'NZD', 'PEN',
+    'PHP', 'PKR', 'PLN', 'RON', 'RUB', 'SAR', 'SEK', 'SGD', 'THB', 'TRY', 'TWD', 'UAH', 'USD', 'VND',
+    'ZAR'
+];
+
+// English UI strings; translations come from zcChartsConfig.i18n
+ZCI18n.strings = {
+    loading: 'Loading chart data...',
+    cachedData: 'Displaying cached data',
+    cachedDataFrom: 'Cached data from %s',
+    lastUpdated: 'Last updated: %s',
+    invalidConfig: 'Invalid chart configuration',
+    unavailable: 'Live and backup data unavailable.',
+    errorDetails: 'Please check your configuration and try again.',
+    unknownLibrary: 'Unknown chart library "%1$s". Available libraries: %2$s.',
+    libraryFailed: 'The %s library failed to load.',
+    date: 'Date',
+    value: 'Value',
+    indicator: 'Indicator',
+    noData: 'No data available',
+    quarter: 'Q%1$s %2$s',
+    and: '%1$s and %2$s',
+    versus: '%1$s vs. %2$s',
+    source: 'Source: %s',
+    asOf: 'as of %s',
+    cached: '(cached data)',
+    chart: 'Chart',
+    chartOf: 'Chart of %s',
+    summaryNoData: 'No data available.',
+    seriesNoData: '%s: no data available.',
+    oneObservation: '%1$s: one observation, %2$s on %3$s.',
+    observations: '%1$s: %2$s observations from %3$s to %4$s.',
+    latest: 'Latest value %1$s on %2$s.',
+    lowHigh: 'Low of %1$s on %2$s, high of %3$s on %4$s.',
+    unchanged: 'Unchanged over the period.',
+    littleChanged: 'Little changed over the period.',
+    trendUp: 'Up %s over the period.',
+    trendDown: 'Down %s over the period.',
+    point: '%1$s: %2$s, %3$s. Point %4$s of %5$s.',
+    unitsChangePeriod: '% change from prior period',
+    unitsChangeYear: '% change from year ago',
+    unitsChange: 'Change, %s',
+    unitsIndex: 'Index (%s = 100)',
+    unitsIndexStart: 'Index (start = 100)',
+    unitsAverage: '%1$s, %2$s-period average',
+    unitsSum: '%1$s, %2$s-period sum',
+    unitsCumulative: 'Cumulative %s',
+    resetZoom: 'Reset zoom',
+    instructions: 'Use the left and right arrow keys to read the data points, and the up and down arrow keys to switch series.'
+};
+
+// Formatter cache, keyed by type and options
+ZCI18n.formatters = new Map();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCI18n;
+}
\ No newline at end of file
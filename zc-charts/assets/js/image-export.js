@@ -0,0 +1,329 @@
+/**
+ * ZC Charts Image Export
+ * Composes publication-ready PNG, SVG and PDF exports with a title, source line and branding
+ */
+
+class ZCImageExport {
+    /**
+     * Export a handler's chart in the given format
+     * Resolves with { blob, filename }
+     */
+    static async export(handler, format = 'png', options = {}) {
+        const exporter = ZCImageExport.formats[format];
+        if (!exporter) {
+            throw new Error(`Unsupported export format "${format}"`);
+        }
+        
+        const settings = { ...ZCImageExport.getSettings(), ...options };
+        const scale = Math.min(Math.max(parseFloat(settings.scale) || 1, 1), 4);
+        const width = Math.round(handler.container.clientWidth || 800);
+        const height = Math.round(handler.container.clientHeight || 400);
+        
+        // Always render the chart itself with the light theme, whatever the page uses
+        const chart = await handler.renderForExport({
+            width: width,
+            height: height,
+            scale: format === 'png' ? scale : Math.max(scale, 2)
+        });
+        
+        const logo = settings.logoUrl ? await ZCImageExport.loadImage(settings.logoUrl) : null;
+        const composed = ZCImageExport.compose(chart, ZCImageExport.getMeta(handler, settings), { ...settings, logo: logo });
+        
+        let blob;
+        if (format === 'svg') {
+            blob = new Blob([composed.svg], { type: exporter.mimeType });
+        } else {
+            const canvas = await ZCImageExport.rasterize(composed, format === 'png' ? scale : Math.max(scale, 2));
+            
+            if (format === 'png') {
+                blob = await new Promise(resolve => canvas.toBlob(resolve, exporter.mimeType));
+            } else {
+                const jpeg = ZCImageExport.dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92));
+                blob = new Blob([
+                    ZCImageExport.toPDF(jpeg, canvas.width, canvas.height, composed.width * 0.75, composed.height * 0.75)
+                ], { type: exporter.mimeType });
+            }
+        }
+        
+        const config = handler.config || {};
+        const slugs = Array.isArray(config.slugs) && config.slugs.length ? config.slugs : [config.slug || 'chart'];
+        const timeframe = String(config.timeframe || 'all').replace(/[^\w-]+/g, '_');
+        
+        return {
+            blob: blob,
+            filename: `${slugs.join('_')}-${timeframe}.${exporter.extension}`
+        };
+    }
+    
+    /**
+     * Get the site-wide export settings
+     */
+    static getSettings() {
+        const branding = typeof zcChartsConfig !== 'undefined' && zcChartsConfig.exportBranding ?
+            zcChartsConfig.exportBranding :
+            {};
+        
+        return {
+            title: '',
+            source: '',
+            logoUrl: '',
+            watermark: '',
+            scale: 1,
+            ...branding
+        };
+    }
+    
+    /**
+     * Collect the title, units and source line for the visible series
+     */
+    static getMeta(handler, settings) {
+        const data = handler.currentData || handler.data || {};
+        const rawSeries = Array.isArray(data.series) ? data.series : [data];
+        const series = handler.getSeriesList(data)
+            .map((item, index) => ({ ...item, raw: rawSeries[index] || {} }))
+            .filter((item, index) => typeof handler.isSeriesVisible !== 'function' || handler.isSeriesVisible(index));
+        
+        const unique = list => list.filter((value, index) => value && list.indexOf(value) === index);
+        
+        // Indicator metadata may name its source; otherwise use the site-wide source
+        const sources = unique(series.map(item => item.raw.indicator && item.raw.indicator.source));
+        const source = sources.length ? sources.join('; ') : settings.source;
+        
+        let lastDate = null;
+        series.forEach(item => item.points.forEach(point => {
+            const date = String(point.obs_date).substring(0, 10);
+            if (!lastDate || date > lastDate) {
+                lastDate = date;
+            }
+        }));
+        
+        const footer = [];
+        if (source) {
+            footer.push(ZCI18n.text('source', source));
+        }
+        if (lastDate) {
+            footer.push(ZCI18n.text('asOf', ZCI18n.formatDate(lastDate)));
+        }
+        
+        let footerText = footer.join(' / ');
+        if (data.source === 'backup') {
+            footerText += ' ' + ZCI18n.text('cached');
+        }
+        
+        const names = series.map(item => item.name);
+        
+        return {
+            title: settings.title || (handler.config && handler.config.title) ||
+                (names.length ? names.reduce((title, name) => ZCI18n.text('versus', title, name)) : ZCI18n.text('indicator')),
+            units: unique(series.map(item => item.units)).join(' / '),
+            footer: footerText.charAt(0).toUpperCase() + footerText.slice(1)
+        };
+    }
+    
+    /**
+     * Lay out the title, chart image, footer, logo and watermark as one SVG document
+     */
+    static compose(chart, meta, settings) {
+        const padding = 16;
+        const width = chart.width + padding * 2;
+        const titleY = padding + 20;
+        const chartY = meta.units ? titleY + 30 : titleY + 14;
+        const footerY = chartY + chart.height + 12;
+        const height = footerY + 32;
+        const font = 'font-family="Helvetica, Arial, sans-serif"';
+        const escape = ZCImageExport.escapeXml;
+        
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `<rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff"/>`,
+            `<text x="${padding}" y="${titleY}" ${font} font-size="20" font-weight="bold" fill="#1e1e1e">${escape(meta.title)}</text>`
+        ];
+        
+        if (meta.units) {
+            parts.push(`<text x="${padding}" y="${titleY + 20}" ${font} font-size="13" fill="#666666">${escape(meta.units)}</text>`);
+        }
+        
+        parts.push(`<image x="${padding}" y="${chartY}" width="${chart.width}" height="${chart.height}" xlink:href="${chart.url}"/>`);
+        
+        if (settings.watermark) {
+            const centerX = padding + chart.width / 2;
+            const centerY = chartY + chart.height / 2;
+            parts.push(`<text x="${centerX}" y="${centerY}" ${font} font-size="${Math.round(chart.width / 12)}" font-weight="bold" fill="#000000" fill-opacity="0.07" text-anchor="middle" dominant-baseline="middle" transform="rotate(-20 ${centerX} ${centerY})">${escape(settings.watermark)}</text>`);
+        }
+        
+        parts.push(`<line x1="${padding}" x2="${width - padding}" y1="${footerY}" y2="${footerY}" stroke="#dddddd"/>`);
+        
+        if (meta.footer) {
+            parts.push(`<text x="${padding}" y="${footerY + 20}" ${font} font-size="12" fill="#666666">${escape(meta.footer)}</text>`);
+        }
+        
+        if (settings.logo) {
+            const logoHeight = 20;
+            const logoWidth = Math.round(settings.logo.width * logoHeight / settings.logo.height);
+            parts.push(`<image x="${width - padding - logoWidth}" y="${footerY + 6}" width="${logoWidth}" height="${logoHeight}" xlink:href="${settings.logo.url}"/>`);
+        }
+        
+        parts.push('</svg>');
+        
+        return {
+            svg: parts.join(''),
+            width: width,
+            height: height
+        };
+    }
+    
+    /**
+     * Draw a composed SVG document onto a canvas at the given scale
+     */
+    static rasterize(composed, scale) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(composed.width * scale);
+                canvas.height = Math.round(composed.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas);
+            };
+            image.onerror = () => reject(new Error('Failed to render chart image'));
+            image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(composed.svg);
+        });
+    }
+    
+    /**
+     * Load an image as a data URL so it can be embedded in the export
+     * Resolves with null when the image cannot be loaded (e.g. blocked by CORS)
+     */
+    static async loadImage(url) {
+        try {
+            const response = await fetch(url, { mode: 'cors' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const blob = await response.blob();
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+            
+            return await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve({ url: dataUrl, width: image.naturalWidth || 1, height: image.naturalHeight || 1 });
+                image.onerror = () => reject(new Error('Invalid image'));
+                image.src = dataUrl;
+            });
+        } catch (error) {
+            console.warn('Failed to load export logo:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Create a hidden element to render export copies of a chart in
+     */
+    static createOffscreenHolder(width, height) {
+        const holder = document.createElement('div');
+        holder.style.position = 'absolute';
+        holder.style.left = '-10000px';
+        holder.style.top = '0';
+        holder.style.width = width + 'px';
+        holder.style.height = height + 'px';
+        document.body.appendChild(holder);
+        return holder;
+    }
+    
+    /**
+     * Wrap a JPEG image in a single-page PDF document
+     */
+    static toPDF(jpeg, pixelWidth, pixelHeight, pageWidth, pageHeight) {
+        const encode = text => Uint8Array.from(text, char => char.charCodeAt(0) & 0xff);
+        const round = value => Math.round(value * 100) / 100;
+        const contents = `q ${round(pageWidth)} 0 0 ${round(pageHeight)} 0 0 cm /Im0 Do Q`;
+        
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${round(pageWidth)} ${round(pageHeight)}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+            [
+                `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+                jpeg,
+                '\nendstream'
+            ],
+            `<< /Length ${contents.length} >>\nstream\n${contents}\nendstream`
+        ];
+        
+        const parts = [encode('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+        const offsets = [];
+        let length = parts[0].length;
+        
+        objects.forEach((object, index) => {
+            offsets.push(length);
+            const pieces = [`${index + 1} 0 obj\n`].concat(object, '\nendobj\n');
+            pieces.forEach(piece => {
+                const bytes = typeof piece === 'string' ? encode(piece) : piece;
+                parts.push(bytes);
+                length += bytes.length;
+            });
+        });
+        
+        const xref = [`xref\n0 ${objects.length + 1}\n`, '0000000000 65535 f \n']
+            .concat(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`))
+            .join('');
+        parts.push(encode(`${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`));
+        
+        const output = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        
+        return output;
+    }
+    
+    /**
+     * Decode a base64 data URL into bytes
+     */
+    static dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.substring(dataUrl.indexOf(',') + 1));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+    
+    /**
+     * Escape text for use in SVG markup
+     */
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Built-in image export formats
+ZCImageExport.formats = {
+    png: {
+        label: 'PNG',
+        extension: 'png',
+        mimeType: 'image/png'
+    },
+    svg: {
+        label: 'SVG',
+        extension: 'svg',
+        mimeType: 'image/svg+xml'
+    },
+    pdf: {
+        label: 'PDF',
+        extension: 'pdf',
+        mimeType: 'application/pdf'
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCImageExport;
+}
\ No newline at end of file
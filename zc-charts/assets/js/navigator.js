@@ -0,0 +1,270 @@
+/**
+ * ZC Charts Navigator
+ * Overview strip under a chart showing the whole timeframe, with a window over the zoomed-in range
+ * that can be dragged, resized from its edges, or drawn anew.
+ *
+ * Zooms through the handler's zoomTo(min, max), which keeps ranges within the data, and follows its visibleRange.
+ */
+
+class ZCNavigator {
+    constructor(handler) {
+        this.handler = handler;
+        this.container = handler.container;
+        this.extent = null;
+        this.lines = null;
+        this.drag = null;
+        
+        // Pointer-only control; the date range picker offers the same to keyboard users
+        this.element = document.createElement('div');
+        this.element.className = 'zc-chart-navigator';
+        this.element.setAttribute('aria-hidden', 'true');
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.touchAction = 'none';
+        this.element.appendChild(this.canvas);
+        this.container.appendChild(this.element);
+        
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.canvas.addEventListener('pointerdown', this.onPointerDown);
+        this.canvas.addEventListener('pointermove', this.onPointerMove);
+        this.canvas.addEventListener('pointerup', this.onPointerUp);
+        this.canvas.addEventListener('pointercancel', this.onPointerUp);
+    }
+    
+    /**
+     * Redraw the strip for the handler's current data, theme and zoom
+     */
+    update() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (!width || !height) {
+            return;
+        }
+        
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) {
+            return;
+        }
+        
+        const theme = this.handler.theme;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, width, height);
+        
+        this.extent = ZCNavigator.getExtent(this.handler.getSeriesList(this.handler.currentData));
+        if (!this.extent) {
+            return;
+        }
+        
+        this.drawSeries(ctx, width, height);
+        this.drawWindow(ctx, width, height);
+    }
+    
+    /**
+     * Draw each visible series scaled to the strip's height
+     */
+    drawSeries(ctx, width, height) {
+        this.getLines(width).forEach((points, index) => {
+            if (!this.handler.isSeriesVisible(index) || points.length < 2) {
+                return;
+            }
+            
+            const values = points.map(point => point.value);
+            const low = Math.min(...values);
+            const span = Math.max(...values) - low || 1;
+            
+            ctx.strokeStyle = this.handler.getSeriesColor(index);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            points.forEach((point, pointIndex) => {
+                const x = this.getPixelForTime(ZCNavigator.getTime(point), width);
+                const y = height - 4 - (point.value - low) / span * (height - 8);
+                if (pointIndex === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        });
+    }
+    
+    /**
+     * Get each series downsampled to the strip's width
+     * Kept until the data or width changes, so zooming and panning only redraw the window
+     */
+    getLines(width) {
+        const data = this.handler.currentData;
+        if (!this.lines || this.lines.data !== data || this.lines.width !== width) {
+            this.lines = {
+                data: data,
+                width: width,
+                points: this.handler.getSeriesList(data).map(item =>
+                    ZCDataTransforms.downsample(item.points.filter(point => isFinite(point.value)), width))
+            };
+        }
+        
+        return this.lines.points;
+    }
+    
+    /**
+     * Shade the dates outside the zoomed-in range and outline the window with its handles
+     */
+    drawWindow(ctx, width, height) {
+        const theme = this.handler.theme;
+        const range = this.handler.visibleRange || this.extent;
+        const left = this.getPixelForTime(range.min, width);
+        const right = this.getPixelForTime(range.max, width);
+        
+        ctx.fillStyle = theme.grid;
+        ctx.fillRect(0, 0, left, height);
+        ctx.fillRect(right, 0, width - right, height);
+        
+        ctx.strokeStyle = theme.axis;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left + 0.5, 0.5, Math.max(right - left - 1, 0), height - 1);
+        
+        ctx.fillStyle = theme.axis;
+        [left, right].forEach(x => ctx.fillRect(x - 2, height / 2 - 8, 4, 16));
+    }
+    
+    /**
+     * Start moving or resizing the window, or drawing a new one
+     */
+    onPointerDown(event) {
+        if (!this.extent || (event.pointerType === 'mouse' && event.button !== 0)) {
+            return;
+        }
+        
+        const width = this.canvas.clientWidth;
+        const x = this.getPointerX(event);
+        const range = this.handler.visibleRange || this.extent;
+        const left = this.getPixelForTime(range.min, width);
+        const right = this.getPixelForTime(range.max, width);
+        const time = this.getTimeForPixel(x, width);
+        
+        if (Math.abs(x - left) <= ZCNavigator.handleWidth) {
+            this.drag = { edge: 'min', range: range };
+        } else if (Math.abs(x - right) <= ZCNavigator.handleWidth) {
+            this.drag = { edge: 'max', range: range };
+        } else if (x > left && x < right) {
+            this.drag = { offset: time - range.min, range: range };
+        } else {
+            this.drag = { anchor: time, range: range };
+        }
+        
+        event.preventDefault();
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(event.pointerId);
+        }
+    }
+    
+    /**
+     * Follow the pointer, zooming the chart as the window changes
+     */
+    onPointerMove(event) {
+        if (!this.drag) {
+            return;
+        }
+        
+        const time = this.getTimeForPixel(this.getPointerX(event), this.canvas.clientWidth);
+        const range = this.drag.range;
+        
+        if (this.drag.edge === 'min') {
+            this.handler.zoomTo(Math.min(time, range.max), range.max);
+        } else if (this.drag.edge === 'max') {
+            this.handler.zoomTo(range.min, Math.max(time, range.min));
+        } else if (this.drag.offset !== undefined) {
+            const min = time - this.drag.offset;
+            this.handler.zoomTo(min, min + range.max - range.min);
+        } else if (time !== this.drag.anchor) {
+            this.handler.zoomTo(Math.min(time, this.drag.anchor), Math.max(time, this.drag.anchor));
+        }
+    }
+    
+    /**
+     * Finish the drag
+     */
+    onPointerUp(event) {
+        if (this.drag && this.canvas.releasePointerCapture && this.canvas.hasPointerCapture &&
+            this.canvas.hasPointerCapture(event.pointerId)) {
+            this.canvas.releasePointerCapture(event.pointerId);
+        }
+        this.drag = null;
+    }
+    
+    /**
+     * Get the pointer's x position on the strip
+     */
+    getPointerX(event) {
+        return event.clientX - this.canvas.getBoundingClientRect().left;
+    }
+    
+    /**
+     * Get the x pixel for a timestamp; the strip's time axis is linear over the whole timeframe
+     */
+    getPixelForTime(time, width) {
+        const span = this.extent.max - this.extent.min;
+        return span ? (time - this.extent.min) / span * width : width / 2;
+    }
+    
+    /**
+     * Get the timestamp at an x pixel, within the timeframe
+     */
+    getTimeForPixel(x, width) {
+        const fraction = Math.min(Math.max(x / width, 0), 1);
+        return this.extent.min + fraction * (this.extent.max - this.extent.min);
+    }
+    
+    /**
+     * Remove the strip
+     */
+    destroy() {
+        this.element.remove();
+        this.drag = null;
+    }
+    
+    /**
+     * Get the first and last dates of a list of series (as returned by a handler's getSeriesList)
+     * Returns { min, max, count }, count being the most observations in any series, or null without data
+     */
+    static getExtent(series) {
+        let min = Infinity;
+        let max = -Infinity;
+        let count = 0;
+        
+        series.forEach(item => {
+            item.points.forEach(point => {
+                const time = ZCNavigator.getTime(point);
+                if (isFinite(time)) {
+                    min = Math.min(min, time);
+                    max = Math.max(max, time);
+                }
+            });
+            count = Math.max(count, item.points.length);
+        });
+        
+        return count ? { min: min, max: max, count: count } : null;
+    }
+    
+    /**
+     * Get a point's timestamp
+     */
+    static getTime(point) {
+        return point.time !== undefined ? point.time : new Date(point.obs_date).getTime();
+    }
+}
+
+// Distance in pixels from the window's edges that resizes it
+ZCNavigator.handleWidth = 6;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCNavigator;
+}
\ No newline at end of file
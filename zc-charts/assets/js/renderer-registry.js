@@ -0,0 +1,109 @@
+/**
+ * ZC Charts Renderer Registry
+ * Keeps track of the chart library handlers the loader can render with
+ */
+
+class ZCRendererRegistry {
+    constructor() {
+        this.renderers = new Map();
+    }
+    
+    /**
+     * Register a renderer
+     *
+     * The handler class is constructed with (container, data, config) and must implement
+     * render(), updateData(), applyTimeframeFilter(), changeChartType() and destroy().
+     * "global" names the library global the handler needs (e.g. "Chart"), and
+     * "capabilities" declares the chart types, export formats and zoom support.
+     */
+    register(name, definition) {
+        if (!name || !definition || typeof definition.handler !== 'function') {
+            throw new Error('A renderer needs a name and a handler class');
+        }
+        
+        this.renderers.set(name, {
+            name: name,
+            label: definition.label || name,
+            handler: definition.handler,
+            global: definition.global || null,
+            isAvailable: definition.isAvailable || null,
+            capabilities: {
+                types: ['line'],
+                exportFormats: [],
+                zoom: false,
+                ...definition.capabilities
+            }
+        });
+    }
+    
+    /**
+     * Remove a renderer
+     */
+    unregister(name) {
+        this.renderers.delete(name);
+    }
+    
+    /**
+     * Get a registered renderer
+     */
+    get(name) {
+        return this.renderers.get(name) || null;
+    }
+    
+    /**
+     * Check if a renderer is registered
+     */
+    has(name) {
+        return this.renderers.has(name);
+    }
+    
+    /**
+     * Check if a renderer's library has been loaded on the page
+     */
+    isAvailable(name) {
+        const renderer = this.get(name);
+        if (!renderer) {
+            return false;
+        }
+        
+        if (typeof renderer.isAvailable === 'function') {
+            return !!renderer.isAvailable();
+        }
+        
+        return !renderer.global || typeof window[renderer.global] !== 'undefined';
+    }
+    
+    /**
+     * Check if a renderer declares a capability, e.g. supports('chartjs', 'types', 'bar')
+     */
+    supports(name, capability, value) {
+        const renderer = this.get(name);
+        if (!renderer) {
+            return false;
+        }
+        
+        const declared = renderer.capabilities[capability];
+        if (value === undefined) {
+            return Array.isArray(declared) ? declared.length > 0 : !!declared;
+        }
+        
+        return Array.isArray(declared) && declared.indexOf(value) !== -1;
+    }
+    
+    /**
+     * Get the names of all registered renderers
+     */
+    list() {
+        return Array.from(this.renderers.keys());
+    }
+}
+
+// Shared registry; handlers register themselves when their script loads
+if (typeof window !== 'undefined') {
+    window.zcChartRenderers = window.zcChartRenderers || new ZCRendererRegistry();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCRendererRegistry;
+}
\ No newline at end of file
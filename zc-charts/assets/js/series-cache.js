@@ -0,0 +1,215 @@
+/**
+ * ZC Charts Series Cache
+ * Shares indicator responses between charts and merges concurrent requests
+ */
+
+class ZCSeriesCache {
+    constructor(options = {}) {
+        this.config = {
+            ttl: 300,
+            storage: 'memory',
+            prefix: 'zc-charts:',
+            dbName: 'zc-charts',
+            storeName: 'series',
+            ...options
+        };
+        
+        // Storage names are matched case-insensitively ("localStorage", "indexedDB")
+        this.config.storage = String(this.config.storage).toLowerCase();
+        
+        this.entries = new Map();
+        this.pending = new Map();
+        this.db = null;
+    }
+    
+    /**
+     * Get a cached response, or load it with the given fetcher
+     * Concurrent calls for the same key share a single fetch
+     */
+    get(key, fetcher) {
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+        
+        const request = this.load(key, fetcher).finally(() => {
+            this.pending.delete(key);
+        });
+        
+        this.pending.set(key, request);
+        return request;
+    }
+    
+    /**
+     * Resolve a key from memory, persistent storage or the fetcher
+     */
+    async load(key, fetcher) {
+        const entry = this.entries.get(key);
+        if (this.isFresh(entry)) {
+            return entry.data;
+        }
+        
+        const stored = await this.readStorage(key);
+        if (this.isFresh(stored)) {
+            this.entries.set(key, stored);
+            return stored.data;
+        }
+        
+        const data = await fetcher();
+        this.set(key, data);
+        
+        return data;
+    }
+    
+    /**
+     * Store a response
+     */
+    set(key, data) {
+        const entry = {
+            data: data,
+            timestamp: Date.now()
+        };
+        
+        this.entries.set(key, entry);
+        this.writeStorage(key, entry);
+    }
+    
+    /**
+     * Remove a single response from the cache
+     * Resolves once it is gone from persistent storage too, so a get() after it fetches again
+     */
+    invalidate(key) {
+        this.entries.delete(key);
+        return this.deleteStorage(key);
+    }
+    
+    /**
+     * Remove every response from the cache, including those stored by earlier page views
+     */
+    clear() {
+        this.entries.clear();
+        return this.clearStorage();
+    }
+    
+    /**
+     * Check if an entry is still within its time to live
+     */
+    isFresh(entry) {
+        return !!entry && Date.now() - entry.timestamp < this.config.ttl * 1000;
+    }
+    
+    /**
+     * Read an entry from persistent storage
+     */
+    async readStorage(key) {
+        try {
+            if (this.config.storage === 'localstorage' && window.localStorage) {
+                const value = window.localStorage.getItem(this.config.prefix + key);
+                return value ? JSON.parse(value) : null;
+            }
+            
+            if (this.config.storage === 'indexeddb') {
+                const store = await this.getStore('readonly');
+                return store ? await this.promisifyRequest(store.get(key)) : null;
+            }
+        } catch (error) {
+            console.warn('Failed to read chart cache:', error);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Write an entry to persistent storage
+     */
+    async writeStorage(key, entry) {
+        try {
+            if (this.config.storage === 'localstorage' && window.localStorage) {
+                window.localStorage.setItem(this.config.prefix + key, JSON.stringify(entry));
+            } else if (this.config.storage === 'indexeddb') {
+                const store = await this.getStore('readwrite');
+                if (store) {
+                    await this.promisifyRequest(store.put(entry, key));
+                }
+            }
+        } catch (error) {
+            // Storage may be full or disabled; the memory cache still works
+            console.warn('Failed to write chart cache:', error);
+        }
+    }
+    
+    /**
+     * Delete an entry from persistent storage
+     */
+    async deleteStorage(key) {
+        try {
+            if (this.config.storage === 'localstorage' && window.localStorage) {
+                window.localStorage.removeItem(this.config.prefix + key);
+            } else if (this.config.storage === 'indexeddb') {
+                const store = await this.getStore('readwrite');
+                if (store) {
+                    await this.promisifyRequest(store.delete(key));
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to delete chart cache entry:', error);
+        }
+    }
+    
+    /**
+     * Delete every entry from persistent storage
+     */
+    async clearStorage() {
+        try {
+            if (this.config.storage === 'localstorage' && window.localStorage) {
+                Object.keys(window.localStorage)
+                    .filter(name => name.startsWith(this.config.prefix))
+                    .forEach(name => window.localStorage.removeItem(name));
+            } else if (this.config.storage === 'indexeddb') {
+                const store = await this.getStore('readwrite');
+                if (store) {
+                    await this.promisifyRequest(store.clear());
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to clear chart cache:', error);
+        }
+    }
+    
+    /**
+     * Get the IndexedDB object store, opening the database on first use
+     */
+    async getStore(mode) {
+        if (typeof indexedDB === 'undefined') {
+            return null;
+        }
+        
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.config.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.config.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        
+        const db = await this.db;
+        return db.transaction(this.config.storeName, mode).objectStore(this.config.storeName);
+    }
+    
+    /**
+     * Wrap an IndexedDB request in a promise
+     */
+    promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCSeriesCache;
+}
\ No newline at end of file
@@ -0,0 +1,687 @@
+/**
+ * ZC Charts SVG Handler
+ * Dependency-free line, area and bar renderer used when no chart library is available
+ */
+
+class ZCSVGHandler extends ZCBaseHandler {
+    constructor(container, data, config) {
+        super(container, data, config);
+        this.pointer = null;
+        this.chartType = 'line';
+        this.margin = { top: 36, right: 20, bottom: 32, left: 64 };
+    }
+    
+    /**
+     * Render chart as inline SVG
+     */
+    async render() {
+        this.destroy();
+        this.theme = ZCThemes.resolve(this.container, this.config);
+        
+        this.chartInstance = document.createElement('div');
+        this.chartInstance.className = 'zc-chart-svg';
+        this.chartInstance.style.position = 'relative';
+        this.chartInstance.style.width = '100%';
+        this.chartInstance.style.height = '100%';
+        this.container.appendChild(this.chartInstance);
+        
+        // Add the text summary and keyboard navigation; redraw() keeps it up to date
+        this.accessibility = new ZCAccessibility(this);
+        await this.draw();
+        
+        // Redraw at the new size when the container is resized
+        this.addResizeListener(() => this.draw());
+    }
+    
+    /**
+     * Draw the current data into the SVG element
+     */
+    redraw() {
+        if (!this.chartInstance) {
+            return;
+        }
+        
+        const width = this.container.clientWidth || 600;
+        const height = this.container.clientHeight || parseInt(this.config.height, 10) || 400;
+        const chart = this.createSvg(width, height);
+        
+        this.replaceSvg(chart.svg);
+        this.pointer = null;
+        if (chart.plot) {
+            this.addTooltip(chart.svg, chart.plot, chart.series, chart.xScale, chart.minTime, chart.maxTime, chart.colors);
+        }
+        
+        if (this.accessibility) {
+            this.accessibility.update();
+        }
+    }
+    
+    /**
+     * Get the number of points to draw per series: one per pixel of the drawn width
+     */
+    getPointLimit() {
+        return this.container.clientWidth || 600;
+    }
+    
+    /**
+     * Build the SVG element for the current data at the given size
+     * The layout is returned with it for the tooltip; plot is null when there is no data
+     */
+    createSvg(width, height) {
+        // Long series are drawn with about one point per pixel
+        const series = this.getDrawnSeries(this.currentData, width);
+        const hasRightAxis = series.some(item => item.axis === 'right');
+        const margin = { ...this.margin, right: hasRightAxis ? this.margin.left : this.margin.right };
+        const plot = {
+            left: margin.left,
+            top: margin.top,
+            width: Math.max(width - margin.left - margin.right, 10),
+            height: Math.max(height - margin.top - margin.bottom, 10)
+        };
+        
+        const colors = this.theme;
+        const svg = this.createSvgElement('svg', {
+            xmlns: 'http://www.w3.org/2000/svg',
+            width: width,
+            height: height,
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img',
+            'font-family': 'sans-serif',
+            'font-size': 11
+        });
+        
+        svg.appendChild(this.createSvgElement('rect', { x: 0, y: 0, width: width, height: height, fill: colors.background }));
+        
+        // Scales
+        const times = [];
+        series.forEach(item => item.points.forEach(point => times.push(point.time)));
+        
+        if (times.length === 0) {
+            const empty = this.createSvgElement('text', {
+                x: width / 2,
+                y: height / 2,
+                'text-anchor': 'middle',
+                fill: colors.mutedText
+            });
+            empty.textContent = ZCI18n.text('noData');
+            svg.appendChild(empty);
+            return { svg: svg, plot: null };
+        }
+        
+        const minTime = Math.min.apply(null, times);
+        const maxTime = Math.max.apply(null, times);
+        const xScale = time => plot.left + (maxTime === minTime ? plot.width / 2 : (time - minTime) / (maxTime - minTime) * plot.width);
+        
+        // Reference lines for the right axis fall back to the left one when there is none
+        const hasRight = series.some(item => item.axis === 'right');
+        const lines = ZCAnnotations.ofType(this.annotations, 'line').map(line => ({
+            ...line,
+            axis: line.axis === 'right' && hasRight ? 'right' : 'left'
+        }));
+        
+        const yScales = {};
+        ['left', 'right'].forEach(side => {
+            const values = [];
+            series.filter(item => item.axis === side).forEach(item => item.points.forEach(point => values.push(point.value)));
+            if (values.length === 0) {
+                return;
+            }
+            
+            // Keep reference lines in view
+            lines.filter(line => line.axis === side).forEach(line => values.push(line.value));
+            
+            let min = Math.min.apply(null, values);
+            let max = Math.max.apply(null, values);
+            if (this.chartType !== 'line') {
+                min = Math.min(min, 0);
+                max = Math.max(max, 0);
+            }
+            
+            const ticks = this.getNiceTicks(min, max, 5);
+            yScales[side] = {
+                ticks: ticks,
+                scale: value => plot.top + plot.height - (value - ticks[0]) / (ticks[ticks.length - 1] - ticks[0]) * plot.height
+            };
+        });
+        
+        this.drawAxes(svg, plot, series, yScales, minTime, maxTime, xScale, colors);
+        this.drawRanges(svg, plot, minTime, maxTime, xScale, colors);
+        
+        // Series
+        const maxPoints = Math.max.apply(null, series.map(item => item.points.length));
+        const barGroupWidth = plot.width / Math.max(maxPoints, 1) * 0.8;
+        
+        series.forEach((item, index) => {
+            const yScale = yScales[item.axis];
+            const color = this.getSeriesColor(index);
+            
+            if (this.chartType === 'bar') {
+                const barWidth = Math.max(barGroupWidth / series.length, 1);
+                const zero = yScale.scale(Math.max(yScale.ticks[0], Math.min(0, yScale.ticks[yScale.ticks.length - 1])));
+                
+                item.points.forEach(point => {
+                    const x = xScale(point.time) - barGroupWidth / 2 + index * barWidth;
+                    const y = yScale.scale(point.value);
+                    svg.appendChild(this.createSvgElement('rect', {
+                        x: x,
+                        y: Math.min(y, zero),
+                        width: barWidth,
+                        height: Math.max(Math.abs(zero - y), 1),
+                        fill: color
+                    }));
+                });
+                return;
+            }
+            
+            const path = item.points
+                .map((point, pointIndex) => `${pointIndex === 0 ? 'M' : 'L'}${xScale(point.time).toFixed(1)},${yScale.scale(point.value).toFixed(1)}`)
+                .join(' ');
+            
+            if (this.chartType === 'area' && item.points.length > 1) {
+                const baseline = (plot.top + plot.height).toFixed(1);
+                const first = xScale(item.points[0].time).toFixed(1);
+                const last = xScale(item.points[item.points.length - 1].time).toFixed(1);
+                svg.appendChild(this.createSvgElement('path', {
+                    d: `${path} L${last},${baseline} L${first},${baseline} Z`,
+                    fill: color,
+                    'fill-opacity': 0.2,
+                    stroke: 'none'
+                }));
+            }
+            
+            svg.appendChild(this.createSvgElement('path', {
+                d: path,
+                fill: 'none',
+                stroke: color,
+                'stroke-width': 2,
+                'stroke-linejoin': 'round'
+            }));
+        });
+        
+        this.drawMarkers(svg, plot, lines, yScales, minTime, maxTime, xScale, colors);
+        this.drawLegend(svg, series, colors);
+        
+        return {
+            svg: svg,
+            plot: plot,
+            series: series,
+            xScale: xScale,
+            minTime: minTime,
+            maxTime: maxTime,
+            colors: colors
+        };
+    }
+    
+    /**
+     * Draw grid lines, tick labels and axis titles
+     */
+    drawAxes(svg, plot, series, yScales, minTime, maxTime, xScale, colors) {
+        // Horizontal grid and y tick labels
+        Object.keys(yScales).forEach(side => {
+            const axis = yScales[side];
+            const units = this.getAxisUnits(series, side);
+            axis.ticks.forEach(tick => {
+                const y = axis.scale(tick);
+                
+                if (side === 'left' || !yScales.left) {
+                    svg.appendChild(this.createSvgElement('line', {
+                        x1: plot.left,
+                        x2: plot.left + plot.width,
+                        y1: y,
+                        y2: y,
+                        stroke: colors.grid
+                    }));
+                }
+                
+                const label = this.createSvgElement('text', {
+                    x: side === 'left' ? plot.left - 6 : plot.left + plot.width + 6,
+                    y: y + 4,
+                    'text-anchor': side === 'left' ? 'end' : 'start',
+                    fill: colors.mutedText
+                });
+                label.textContent = ZCI18n.formatTick(tick, units);
+                svg.appendChild(label);
+            });
+            
+            const title = this.createSvgElement('text', {
+                transform: side === 'left' ?
+                    `translate(14, ${plot.top + plot.height / 2}) rotate(-90)` :
+                    `translate(${plot.left + plot.width + this.margin.left - 14}, ${plot.top + plot.height / 2}) rotate(90)`,
+                'text-anchor': 'middle',
+                fill: colors.mutedText
+            });
+            title.textContent = this.getAxisTitle(series, side);
+            svg.appendChild(title);
+        });
+        
+        // Date tick labels
+        const tickCount = Math.max(2, Math.min(6, Math.floor(plot.width / 100)));
+        const frequency = ZCI18n.getFrequencies(series).labels;
+        
+        for (let i = 0; i < tickCount; i++) {
+            const time = minTime + (maxTime - minTime) * i / (tickCount - 1);
+            const label = this.createSvgElement('text', {
+                x: xScale(time),
+                y: plot.top + plot.height + 18,
+                'text-anchor': i === 0 ? 'start' : (i === tickCount - 1 ? 'end' : 'middle'),
+                fill: colors.mutedText
+            });
+            label.textContent = ZCI18n.formatDate(time, frequency);
+            svg.appendChild(label);
+        }
+        
+        // Baseline
+        svg.appendChild(this.createSvgElement('line', {
+            x1: plot.left,
+            x2: plot.left + plot.width,
+            y1: plot.top + plot.height,
+            y2: plot.top + plot.height,
+            stroke: colors.axis
+        }));
+    }
+    
+    /**
+     * Draw shaded date ranges behind the series
+     */
+    drawRanges(svg, plot, minTime, maxTime, xScale, colors) {
+        ZCAnnotations.ofType(this.annotations, 'range').forEach(range => {
+            if (range.to < minTime || range.from > maxTime) {
+                return;
+            }
+            
+            const left = xScale(Math.max(range.from, minTime));
+            const right = xScale(Math.min(range.to, maxTime));
+            svg.appendChild(this.createSvgElement('rect', {
+                x: left,
+                y: plot.top,
+                width: Math.max(right - left, 1),
+                height: plot.height,
+                fill: range.color
+            }));
+            
+            if (range.label) {
+                const label = this.createSvgElement('text', {
+                    x: left + 4,
+                    y: plot.top + 12,
+                    fill: colors.mutedText
+                });
+                label.textContent = range.label;
+                svg.appendChild(label);
+            }
+        });
+    }
+    
+    /**
+     * Draw event markers and reference lines in front of the series
+     */
+    drawMarkers(svg, plot, lines, yScales, minTime, maxTime, xScale, colors) {
+        ZCAnnotations.ofType(this.annotations, 'event').forEach(event => {
+            if (event.date < minTime || event.date > maxTime) {
+                return;
+            }
+            
+            const x = xScale(event.date);
+            svg.appendChild(this.createSvgElement('line', {
+                x1: x,
+                x2: x,
+                y1: plot.top,
+                y2: plot.top + plot.height,
+                stroke: event.color,
+                'stroke-dasharray': '4,4'
+            }));
+            
+            if (event.label) {
+                const label = this.createSvgElement('text', {
+                    x: x + 4,
+                    y: plot.top + 26,
+                    fill: colors.mutedText
+                });
+                label.textContent = event.label;
+                svg.appendChild(label);
+            }
+        });
+        
+        lines.forEach(line => {
+            const yScale = yScales[line.axis];
+            if (!yScale) {
+                return;
+            }
+            
+            const y = yScale.scale(line.value);
+            svg.appendChild(this.createSvgElement('line', {
+                x1: plot.left,
+                x2: plot.left + plot.width,
+                y1: y,
+                y2: y,
+                stroke: line.color,
+                'stroke-dasharray': '6,3'
+            }));
+            
+            if (line.label) {
+                const label = this.createSvgElement('text', {
+                    x: plot.left + plot.width - 4,
+                    y: y - 4,
+                    'text-anchor': 'end',
+                    fill: line.color
+                });
+                label.textContent = line.label;
+                svg.appendChild(label);
+            }
+        });
+    }
+    
+    /**
+     * Draw the legend above the plot
+     */
+    drawLegend(svg, series, colors) {
+        let x = this.margin.left;
+        
+        series.forEach((item, index) => {
+            svg.appendChild(this.createSvgElement('rect', {
+                x: x,
+                y: 10,
+                width: 12,
+                height: 12,
+                fill: this.getSeriesColor(index)
+            }));
+            
+            const label = this.createSvgElement('text', {
+                x: x + 16,
+                y: 20,
+                fill: colors.text
+            });
+            label.textContent = item.name;
+            svg.appendChild(label);
+            
+            x += 32 + item.name.length * 6.5;
+        });
+    }
+    
+    /**
+     * Show the nearest values when hovering the plot
+     * The tooltip can also be shown for a date through this.pointer, for keyboard navigation
+     */
+    addTooltip(svg, plot, series, xScale, minTime, maxTime, colors) {
+        const tooltip = document.createElement('div');
+        tooltip.className = 'zc-chart-tooltip';
+        tooltip.style.position = 'absolute';
+        tooltip.style.display = 'none';
+        tooltip.style.backgroundColor = colors.tooltipBackground;
+        tooltip.style.color = colors.tooltipText;
+        tooltip.style.border = `1px solid ${colors.tooltipBorder}`;
+        this.chartInstance.appendChild(tooltip);
+        
+        const marker = this.createSvgElement('line', {
+            y1: plot.top,
+            y2: plot.top + plot.height,
+            stroke: colors.axis,
+            'stroke-dasharray': '3,3',
+            visibility: 'hidden'
+        });
+        svg.appendChild(marker);
+        
+        const frequency = ZCI18n.getFrequencies(series).data;
+        
+        const hide = () => {
+            marker.setAttribute('visibility', 'hidden');
+            tooltip.style.display = 'none';
+        };
+        
+        const show = time => {
+            const rows = [];
+            let nearestTime = null;
+            
+            series.forEach(item => {
+                const point = this.findNearestPoint(item.points, time);
+                if (point) {
+                    nearestTime = nearestTime === null ? point.time : nearestTime;
+                    rows.push(`${item.name}: ${ZCI18n.formatValue(point.value, item)}`);
+                }
+            });
+            
+            if (nearestTime === null) {
+                return null;
+            }
+            
+            marker.setAttribute('x1', xScale(nearestTime));
+            marker.setAttribute('x2', xScale(nearestTime));
+            marker.setAttribute('visibility', 'visible');
+            
+            tooltip.textContent = '';
+            const title = document.createElement('strong');
+            title.textContent = ZCI18n.formatDate(nearestTime, frequency);
+            tooltip.appendChild(title);
+            rows.forEach(row => {
+                const line = document.createElement('div');
+                line.textContent = row;
+                tooltip.appendChild(line);
+            });
+            
+            tooltip.style.display = 'block';
+            tooltip.style.left = Math.min(xScale(nearestTime) + 10, plot.left + plot.width - 160) + 'px';
+            tooltip.style.top = plot.top + 'px';
+            return nearestTime;
+        };
+        
+        // Share the hovered date with charts in the same sync group
+        svg.addEventListener('mousemove', event => {
+            const bounds = svg.getBoundingClientRect();
+            const x = event.clientX - bounds.left;
+            if (x < plot.left || x > plot.left + plot.width) {
+                hide();
+                this.setHoverTime(null);
+                return;
+            }
+            
+            this.setHoverTime(show(minTime + (x - plot.left) / plot.width * (maxTime - minTime)));
+        });
+        
+        svg.addEventListener('mouseleave', () => {
+            hide();
+            this.setHoverTime(null);
+        });
+        
+        this.pointer = { show: show, hide: hide, minTime: minTime, maxTime: maxTime };
+    }
+    
+    /**
+     * Find the point closest to a timestamp in a sorted list
+     */
+    findNearestPoint(points, time) {
+        let nearest = null;
+        
+        points.forEach(point => {
+            if (!nearest || Math.abs(point.time - time) < Math.abs(nearest.time - time)) {
+                nearest = point;
+            }
+        });
+        
+        return nearest;
+    }
+    
+    /**
+     * Replace the rendered SVG element
+     */
+    replaceSvg(svg) {
+        this.chartInstance.innerHTML = '';
+        this.chartInstance.appendChild(svg);
+    }
+    
+    /**
+     * Create an SVG element with attributes
+     */
+    createSvgElement(name, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', name);
+        Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+        return element;
+    }
+    
+    /**
+     * Get evenly spaced, rounded tick values covering a range
+     */
+    getNiceTicks(min, max, count) {
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        
+        const roughStep = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
+        const residual = roughStep / magnitude;
+        const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+        
+        const ticks = [];
+        for (let value = Math.floor(min / step) * step; value <= max + step / 2; value += step) {
+            ticks.push(parseFloat(value.toPrecision(12)));
+        }
+        if (ticks[ticks.length - 1] < max) {
+            ticks.push(parseFloat((ticks[ticks.length - 1] + step).toPrecision(12)));
+        }
+        
+        return ticks;
+    }
+    
+    /**
+     * Resolve the theme again and redraw the chart
+     */
+    applyTheme() {
+        this.theme = ZCThemes.resolve(this.container, this.config);
+        this.redraw();
+    }
+    
+    /**
+     * Change chart type
+     */
+    changeChartType(type) {
+        if (!this.chartInstance) {
+            return;
+        }
+        
+        this.chartType = ['line', 'bar', 'area'].indexOf(type) !== -1 ? type : 'line';
+        this.redraw();
+    }
+    
+    /**
+     * Export chart as image
+     */
+    exportAsImage(format = 'png') {
+        const svg = this.chartInstance ? this.chartInstance.querySelector('svg') : null;
+        if (!svg) {
+            return Promise.reject(new Error('Chart not initialized'));
+        }
+        
+        const svgData = new XMLSerializer().serializeToString(svg);
+        const svgUrl = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgData);
+        
+        if (format === 'svg') {
+            return Promise.resolve(svgUrl);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = svg.width.baseVal.value;
+                canvas.height = svg.height.baseVal.value;
+                canvas.getContext('2d').drawImage(image, 0, 0);
+                resolve(canvas.toDataURL(`image/${format}`));
+            };
+            image.onerror = () => reject(new Error('Failed to render chart image'));
+            image.src = svgUrl;
+        });
+    }
+    
+    /**
+     * Render a light-theme copy of the chart for image export
+     * Resolves with { url, width, height }, where url is an SVG data URL
+     */
+    renderForExport(options) {
+        // Exports always use the light theme
+        const theme = this.theme;
+        this.theme = ZCThemes.resolve(this.container, this.config, 'light');
+        
+        try {
+            const svgData = new XMLSerializer().serializeToString(this.createSvg(options.width, options.height).svg);
+            
+            return Promise.resolve({
+                url: 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgData),
+                width: options.width,
+                height: options.height
+            });
+        } finally {
+            this.theme = theme;
+        }
+    }
+    
+    /**
+     * Show the tooltip for a point selected with the keyboard
+     */
+    highlightPoint(seriesIndex, point) {
+        if (this.pointer) {
+            this.pointer.show(new Date(point.obs_date).getTime());
+        }
+    }
+    
+    /**
+     * Hide the keyboard tooltip
+     */
+    clearHighlight() {
+        if (this.pointer) {
+            this.pointer.hide();
+        }
+    }
+    
+    /**
+     * Show the crosshair and tooltip at the observation nearest to a date hovered in another chart
+     * Dates outside the series drawn hide them instead
+     */
+    showCrosshair(time) {
+        if (!this.pointer) {
+            return;
+        }
+        
+        if (time < this.pointer.minTime || time > this.pointer.maxTime) {
+            this.pointer.hide();
+        } else {
+            this.pointer.show(time);
+        }
+    }
+    
+    /**
+     * Hide the crosshair and tooltip shown for another chart
+     */
+    hideCrosshair() {
+        this.clearHighlight();
+    }
+    
+    /**
+     * Destroy chart instance
+     */
+    destroy() {
+        if (this.chartInstance) {
+            this.chartInstance.remove();
+            this.chartInstance = null;
+        }
+        this.pointer = null;
+        
+        super.destroy();
+    }
+}
+
+// Register with the chart loader
+if (typeof window !== 'undefined' && window.zcChartRenderers) {
+    window.zcChartRenderers.register('svg', {
+        label: 'Built-in SVG',
+        handler: ZCSVGHandler,
+        capabilities: {
+            types: ['line', 'bar', 'area'],
+            exportFormats: ['png', 'svg', 'pdf', 'csv', 'json', 'xlsx'],
+            zoom: false
+        }
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCSVGHandler;
+}
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * ZC Charts Themes
+ * Named color token sets, resolved per chart with CSS custom property overrides
+ */
+
+class ZCThemes {
+    /**
+     * Register a theme
+     * Tokens not given are taken from the theme named in "extends" (light by default).
+     */
+    static register(name, tokens) {
+        const base = ZCThemes.themes[tokens.extends] || ZCThemes.themes.light;
+        const theme = { ...tokens };
+        delete theme.extends;
+        
+        ZCThemes.themes[name] = {
+            ...base,
+            ...theme,
+            palette: Array.isArray(theme.palette) && theme.palette.length ? theme.palette.slice() : base.palette
+        };
+    }
+    
+    /**
+     * Get the tokens for a chart
+     *
+     * The theme is taken from the override (e.g. "light" for exports), the chart's "theme"
+     * setting or the site-wide theme, and "auto" follows the page's color scheme. CSS custom
+     * properties on the container (--zc-chart-text, --zc-chart-palette, ...) take precedence,
+     * except that only the palette is kept when a theme is forced through the override.
+     */
+    static resolve(container, config = {}, override = null) {
+        ZCThemes.loadSiteThemes();
+        
+        let name = override || config.theme || ZCThemes.getSiteTheme();
+        if (name === 'auto') {
+            name = ZCThemes.isDarkMode() ? 'dark' : 'light';
+        }
+        
+        if (!ZCThemes.themes[name]) {
+            console.warn(`Unknown chart theme "${name}"`);
+            name = ZCThemes.isDarkMode() ? 'dark' : 'light';
+        }
+        
+        const theme = {
+            ...ZCThemes.themes[name],
+            name: name
+        };
+        
+        const overrides = ZCThemes.readCustomProperties(container);
+        if (override) {
+            return overrides.palette ? { ...theme, palette: overrides.palette } : theme;
+        }
+        
+        return {
+            ...theme,
+            ...overrides
+        };
+    }
+    
+    /**
+     * Read token overrides from CSS custom properties
+     */
+    static readCustomProperties(container) {
+        const overrides = {};
+        if (!container || typeof getComputedStyle !== 'function') {
+            return overrides;
+        }
+        
+        const style = getComputedStyle(container);
+        Object.keys(ZCThemes.themes.light).forEach(token => {
+            const property = '--zc-chart-' + token.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+            const value = style.getPropertyValue(property).trim();
+            if (!value) {
+                return;
+            }
+            
+            overrides[token] = token === 'palette' ?
+                value.split(/,(?![^(]*\))/).map(color => color.trim()).filter(Boolean) :
+                value;
+        });
+        
+        return overrides;
+    }
+    
+    /**
+     * Register the themes added with the zc_charts_themes filter
+     * Done on first use, as the site configuration is printed after this script
+     */
+    static loadSiteThemes() {
+        if (ZCThemes.siteThemesLoaded) {
+            return;
+        }
+        ZCThemes.siteThemesLoaded = true;
+        
+        if (typeof zcChartsConfig !== 'undefined' && zcChartsConfig.themes) {
+            Object.keys(zcChartsConfig.themes).forEach(name => ZCThemes.register(name, zcChartsConfig.themes[name]));
+        }
+    }
+    
+    /**
+     * Get the site-wide theme name
+     */
+    static getSiteTheme() {
+        if (typeof zcChartsConfig !== 'undefined' && zcChartsConfig.theme) {
+            return zcChartsConfig.theme;
+        }
+        
+        return 'auto';
+    }
+    
+    /**
+     * Check if dark mode is enabled
+     */
+    static isDarkMode() {
+        // Check for prefers-color-scheme media query
+        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+            return true;
+        }
+        
+        // Check for dark mode class on body (if used by theme)
+        if (document.body.classList.contains('dark-mode') ||
+            document.body.classList.contains('dark')) {
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Call back when the color scheme or the body class changes
+     * Returns a function that stops watching.
+     */
+    static watch(callback) {
+        const stops = [];
+        
+        if (window.matchMedia) {
+            const query = window.matchMedia('(prefers-color-scheme: dark)');
+            if (typeof query.addEventListener === 'function') {
+                query.addEventListener('change', callback);
+                stops.push(() => query.removeEventListener('change', callback));
+            } else if (typeof query.addListener === 'function') {
+                // Safari before 14
+                query.addListener(callback);
+                stops.push(() => query.removeListener(callback));
+            }
+        }
+        
+        if (typeof MutationObserver !== 'undefined') {
+            const observer = new MutationObserver(callback);
+            observer.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+            stops.push(() => observer.disconnect());
+        }
+        
+        return () => stops.forEach(stop => stop());
+    }
+}
+
+// Built-in themes
+ZCThemes.themes = {
+    light: {
+        palette: ['#0073aa', '#d54e21', '#46b450', '#826eb4', '#ffb900', '#00a0d2', '#dc3232', '#72777c'],
+        background: '#ffffff',
+        text: '#333333',
+        mutedText: '#666666',
+        grid: 'rgba(0, 0, 0, 0.1)',
+        axis: '#999999',
+        tooltipBackground: 'rgba(255, 255, 255, 0.95)',
+        tooltipText: '#333333',
+        tooltipBorder: '#cccccc'
+    },
+    dark: {
+        palette: ['#3fa9dd', '#f0774a', '#6fd17a', '#a593d6', '#ffcb4d', '#4cc3ea', '#f06060', '#a7aaad'],
+        background: '#1e1e1e',
+        text: '#ffffff',
+        mutedText: '#cccccc',
+        grid: 'rgba(255, 255, 255, 0.1)',
+        axis: '#777777',
+        tooltipBackground: 'rgba(30, 30, 30, 0.9)',
+        tooltipText: '#ffffff',
+        tooltipBorder: '#555555'
+    }
+};
+
+// Whether the site themes from zcChartsConfig have been registered
+ZCThemes.siteThemesLoaded = false;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZCThemes;
+}
\ No newline at end of file
@@ -58,14 +58,38 @@ class ZC_Charts_Shortcodes {
             'id' => '',
             'library' => get_option('zc_charts_default_library', 'chartjs'),
             'timeframe' => '1y',
-            'height' => '400px'
+            'height' => '400px',
+            'axes' => '',
+            'transform' => '',
+            'lazy' => '',
+            'refresh' => 0,
+            'ranges' => '',
+            'events' => '',
+            'lines' => '',
+            'recessions' => '',
+            'theme' => '',
+            'decimals' => '',
+            'frequency' => '',
+            'aggregation' => '',
+            'url_state' => '',
+            'sync' => '',
+            'navigator' => ''
         ), $atts, 'zc_chart_dynamic');
         
+        // Library names are renderer registry keys, e.g. "chartjs"
+        $atts['library'] = sanitize_key($atts['library']);
+        
         // Validate required attributes
         if (empty($atts['id'])) {
             return $this->render_error(__('Indicator ID is required.', 'zc-charts'));
         }
         
+        // Comparison charts pass a comma-separated list of indicator slugs
+        $slugs = $this->parse_slugs($atts['id']);
+        if (empty($slugs)) {
+            return $this->render_error(__('Indicator ID is required.', 'zc-charts'));
+        }
+        
         // Validate API key
         $api_key = get_option('zc_charts_api_key');
         if (empty($api_key)) {
@@ -84,23 +108,7 @@ class ZC_Charts_Shortcodes {
             return $this->render_error(__('Invalid API key. Please check your configuration.', 'zc-charts'));
         }
         
-        // Fetch data from DMT plugin
-        $data = $this->fetch_chart_data($atts['id'], $api_key);
-        
-        if (is_wp_error($data)) {
-            // Try fallback data
-            $fallback_data = $this->fetch_fallback_data($atts['id'], $api_key);
-            
-            if (is_wp_error($fallback_data)) {
-                return $this->render_error($data->get_error_message());
-            }
-            
-            $data = $fallback_data;
-            // Add fallback notice
-            $fallback_notice = '<div class="zc-chart-notice">' . __('Displaying cached data', 'zc-charts') . '</div>';
-        } else {
-            $fallback_notice = '';
-        }
+        // Data is fetched in the browser by the loader, which falls back to backups itself
         
         // Generate unique chart ID
         $chart_id = 'zc-chart-' . uniqid();
@@ -108,37 +116,68 @@ class ZC_Charts_Shortcodes {
         // Enqueue chart library
         $this->enqueue_chart_library($atts['library']);
         
-        // Prepare data for chart
-        $chart_data = $this->prepare_chart_data($data, $atts['timeframe']);
+        // Axis per indicator ("left" or "right"), in the same order as the slugs
+        $axes = array_map(function($axis) {
+            return trim($axis) === 'right' ? 'right' : 'left';
+        }, explode(',', $atts['axes']));
         
-        // Return chart container with fallback notice
-        $output = $fallback_notice;
-        $output .= '<div class="zc-chart-wrapper" style="height: ' . esc_attr($atts['height']) . '">';
-        $output .= '<div class="zc-chart-container" id="' . esc_attr($chart_id) . '" data-config=\'' . json_encode(array(
-            'slug' => $atts['id'],
+        // Chart configuration read by the loader from the container
+        $config = array(
+            'slug' => $slugs[0],
+            'slugs' => $slugs,
             'library' => $atts['library'],
-            'timeframe' => $atts['timeframe'],
-            'height' => $atts['height']
-        )) . '\'></div>';
-        $output .= '</div>';
+            'timeframe' => sanitize_text_field($atts['timeframe']),
+            'height' => $this->sanitize_height($atts['height']),
+            'axes' => $axes,
+            'transform' => sanitize_text_field($atts['transform']),
+            'refresh' => absint($atts['refresh']),
+            // Annotations, parsed by ZCAnnotations: items separated by "|", fields by ":"
+            'ranges' => sanitize_text_field($atts['ranges']),
+            'events' => sanitize_text_field($atts['events']),
+            'lines' => sanitize_text_field($atts['lines']),
+            'recessions' => sanitize_key($atts['recessions'])
+        );
         
-        // Add chart initialization script
-        $output .= '<script type="text/javascript">';
-        $output .= 'document.addEventListener("DOMContentLoaded", function() {';
-        $output .= 'if (typeof window.zcChartLoader !== "undefined") {';
-        $output .= 'window.zcChartLoader.loadChart(document.getElementById("' . esc_js($chart_id) . '"), ' . json_encode(array(
-            'slug' => $atts['id'],
-            'library' => $atts['library'],
-            'timeframe' => $atts['timeframe'],
-            'height' => $atts['height']
-        )) . ');';
-        $output .= '} else {';
-        $output .= 'console.error("ZC Chart Loader not found");';
-        $output .= '}';
-        $output .= '});';
-        $output .= '</script>';
+        // Only set lazy loading per chart when the attribute is given; otherwise the site default applies
+        if ($atts['lazy'] !== '') {
+            $config['lazy'] = filter_var($atts['lazy'], FILTER_VALIDATE_BOOLEAN);
+        }
         
-        return $output;
+        // Likewise for the theme and the decimal places (indicator metadata takes precedence over the latter)
+        if ($atts['theme'] !== '') {
+            $config['theme'] = sanitize_key($atts['theme']);
+        }
+        if ($atts['decimals'] !== '') {
+            $config['decimals'] = min(absint($atts['decimals']), 10);
+        }
+        
+        // Resampling; comparison charts align their series to the coarsest frequency unless "none" is given
+        if (in_array($atts['frequency'], array('auto', 'none', 'daily', 'weekly', 'monthly', 'quarterly', 'annual'), true)) {
+            $config['frequency'] = $atts['frequency'];
+        }
+        if (in_array($atts['aggregation'], array('mean', 'sum', 'last', 'first', 'min', 'max'), true)) {
+            $config['aggregation'] = $atts['aggregation'];
+        }
+        
+        // Key for keeping the chart's view in the page URL, e.g. "gdp" for ?gdp_range=5y
+        if ($atts['url_state'] !== '') {
+            $config['urlState'] = sanitize_key($atts['url_state']);
+        }
+        
+        // Charts with the same sync group share the hovered date and zoomed range
+        if ($atts['sync'] !== '') {
+            $config['sync'] = sanitize_key($atts['sync']);
+        }
+        
+        // Overview strip under Chart.js charts for choosing the zoomed-in range
+        if ($atts['navigator'] !== '') {
+            $config['navigator'] = filter_var($atts['navigator'], FILTER_VALIDATE_BOOLEAN);
+        }
+        
+        // Render the chart with its interactive controls
+        ob_start();
+        include ZC_CHARTS_PLUGIN_DIR . 'templates/chart-dynamic.php';
+        return ob_get_clean();
     }
     
     /**
@@ -151,6 +190,9 @@ class ZC_Charts_Shortcodes {
             'library' => get_option('zc_charts_default_library', 'chartjs')
         ), $atts, 'zc_chart_static');
         
+        // Library names are renderer registry keys, e.g. "chartjs"
+        $atts['library'] = sanitize_key($atts['library']);
+        
         // Validate required attributes
         if (empty($atts['id'])) {
             return $this->render_error(__('Indicator ID is required.', 'zc-charts'));
@@ -204,10 +246,10 @@ class ZC_Charts_Shortcodes {
         // Return chart container with fallback notice
         $output = $fallback_notice;
         $output .= '<div class="zc-chart-wrapper">';
-        $output .= '<div class="zc-chart-container" id="' . esc_attr($chart_id) . '" data-config=\'' . json_encode(array(
+        $output .= '<div class="zc-chart-container" id="' . esc_attr($chart_id) . '" data-config="' . esc_attr(wp_json_encode(array(
             'slug' => $atts['id'],
             'library' => $atts['library']
-        )) . '\'></div>';
+        ))) . '"></div>';
         $output .= '</div>';
         
         // Add chart initialization script
@@ -227,6 +269,22 @@ class ZC_Charts_Shortcodes {
         return $output;
     }
     
+    /**
+     * Parse a comma-separated list of indicator slugs
+     */
+    private function parse_slugs($ids) {
+        $slugs = array_map('sanitize_title', array_map('trim', explode(',', $ids)));
+        return array_values(array_unique(array_filter($slugs)));
+    }
+    
+    /**
+     * Sanitize a chart height, e.g. "400px" or "50vh", falling back to the default height
+     */
+    private function sanitize_height($height) {
+        $height = trim($height);
+        return preg_match('/^\d+(px|em|rem|vh|%)$/', $height) ? $height : '400px';
+    }
+    
     /**
      * Fetch chart data from DMT plugin
      */
@@ -370,15 +428,48 @@ class ZC_Charts_Shortcodes {
         }
         
         // Enqueue our chart scripts
-        wp_enqueue_script('zc-charts-loader', ZC_CHARTS_PLUGIN_URL . 'assets/js/chart-loader.js', array(), ZC_CHARTS_VERSION, true);
-        wp_enqueue_script('zc-charts-chartjs-handler', ZC_CHARTS_PLUGIN_URL . 'assets/js/chartjs-handler.js', array('zc-charts-loader'), ZC_CHARTS_VERSION, true);
-        wp_enqueue_script('zc-charts-highcharts-handler', ZC_CHARTS_PLUGIN_URL . 'assets/js/highcharts-handler.js', array('zc-charts-loader'), ZC_CHARTS_VERSION, true);
-        wp_enqueue_script('zc-charts-fallback-handler', ZC_CHARTS_PLUGIN_URL . 'assets/js/fallback-handler.js', array('zc-charts-loader'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-data-transforms', ZC_CHARTS_PLUGIN_URL . 'assets/js/data-transforms.js', array('zc-charts-i18n'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-data-pipeline', ZC_CHARTS_PLUGIN_URL . 'assets/js/data-pipeline.js', array('zc-charts-i18n', 'zc-charts-data-transforms'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-series-cache', ZC_CHARTS_PLUGIN_URL . 'assets/js/series-cache.js', array(), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-data-export', ZC_CHARTS_PLUGIN_URL . 'assets/js/data-export.js', array(), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-i18n', ZC_CHARTS_PLUGIN_URL . 'assets/js/i18n.js', array(), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-image-export', ZC_CHARTS_PLUGIN_URL . 'assets/js/image-export.js', array('zc-charts-i18n'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-annotations', ZC_CHARTS_PLUGIN_URL . 'assets/js/annotations.js', array(), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-themes', ZC_CHARTS_PLUGIN_URL . 'assets/js/themes.js', array(), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-accessibility', ZC_CHARTS_PLUGIN_URL . 'assets/js/accessibility.js', array('zc-charts-i18n'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-navigator', ZC_CHARTS_PLUGIN_URL . 'assets/js/navigator.js', array('zc-charts-data-transforms'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-renderer-registry', ZC_CHARTS_PLUGIN_URL . 'assets/js/renderer-registry.js', array(), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-base-handler', ZC_CHARTS_PLUGIN_URL . 'assets/js/base-handler.js', array('zc-charts-i18n', 'zc-charts-data-transforms', 'zc-charts-data-pipeline', 'zc-charts-themes', 'zc-charts-annotations', 'zc-charts-data-export', 'zc-charts-image-export'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-fallback-handler', ZC_CHARTS_PLUGIN_URL . 'assets/js/fallback-handler.js', array('zc-charts-i18n'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-loader', ZC_CHARTS_PLUGIN_URL . 'assets/js/chart-loader.js', array('zc-charts-i18n', 'zc-charts-data-transforms', 'zc-charts-data-pipeline', 'zc-charts-series-cache', 'zc-charts-themes', 'zc-charts-renderer-registry', 'zc-charts-fallback-handler'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-chartjs-handler', ZC_CHARTS_PLUGIN_URL . 'assets/js/chartjs-handler.js', array('zc-charts-loader', 'zc-charts-base-handler', 'zc-charts-accessibility', 'zc-charts-navigator'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-highcharts-handler', ZC_CHARTS_PLUGIN_URL . 'assets/js/highcharts-handler.js', array('zc-charts-loader', 'zc-charts-base-handler', 'zc-charts-accessibility'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-svg-handler', ZC_CHARTS_PLUGIN_URL . 'assets/js/svg-handler.js', array('zc-charts-loader', 'zc-charts-base-handler', 'zc-charts-accessibility'), ZC_CHARTS_VERSION, true);
+        wp_enqueue_script('zc-charts-controls', ZC_CHARTS_PLUGIN_URL . 'assets/js/chart-controls.js', array('zc-charts-loader'), ZC_CHARTS_VERSION, true);
+        
+        // Let themes and plugins enqueue their own renderers (registered through window.zcChartRenderers)
+        do_action('zc_charts_enqueue_renderers', $library);
         
         // Localize script with configuration
         wp_localize_script('zc-charts-loader', 'zcChartsConfig', array(
             'restUrl' => rest_url(),
             'apiKey' => get_option('zc_charts_api_key'),
+            'cacheTtl' => absint(get_option('zc_charts_cache_ttl', 300)),
+            'cacheStorage' => get_option('zc_charts_cache_storage', 'memory'),
+            'lazyLoad' => (bool) apply_filters('zc_charts_lazy_load', false),
+            'fallbackLibrary' => apply_filters('zc_charts_fallback_library', 'svg'),
+            // An empty URL prepares chart data on the main thread
+            'workerUrl' => apply_filters('zc_charts_data_worker_url', add_query_arg('ver', ZC_CHARTS_VERSION, ZC_CHARTS_PLUGIN_URL . 'assets/js/data-worker.js')),
+            'locale' => str_replace('_', '-', determine_locale()),
+            'i18n' => $this->get_script_strings(),
+            'theme' => get_option('zc_charts_theme', 'auto'),
+            'themes' => apply_filters('zc_charts_themes', array()),
+            'recessions' => apply_filters('zc_charts_recessions', array()),
+            'exportBranding' => apply_filters('zc_charts_export_branding', array(
+                'source' => '',
+                'logoUrl' => '',
+                'watermark' => ''
+            )),
             'debug' => defined('WP_DEBUG') && WP_DEBUG
         ));
         
@@ -387,6 +478,80 @@ class ZC_Charts_Shortcodes {
         wp_enqueue_style('zc-charts-charts-css', ZC_CHARTS_PLUGIN_URL . 'assets/css/charts.css', array(), ZC_CHARTS_VERSION);
     }
     
+    /**
+     * Get the translated UI strings for the chart scripts
+     * Keys match ZCI18n.strings; placeholders follow sprintf.
+     */
+    private function get_script_strings() {
+        return array(
+            'loading' => __('Loading chart data...', 'zc-charts'),
+            'cachedData' => __('Displaying cached data', 'zc-charts'),
+            /* translators: %s: age of the backup, e.g. "3 days ago" */
+            'cachedDataFrom' => __('Cached data from %s', 'zc-charts'),
+            /* translators: %s: time of the last data refresh */
+            'lastUpdated' => __('Last updated: %s', 'zc-charts'),
+            'invalidConfig' => __('Invalid chart configuration', 'zc-charts'),
+            'unavailable' => __('Live and backup data unavailable.', 'zc-charts'),
+            'errorDetails' => __('Please check your configuration and try again.', 'zc-charts'),
+            /* translators: 1: chart library name, 2: comma-separated list of available libraries */
+            'unknownLibrary' => __('Unknown chart library "%1$s". Available libraries: %2$s.', 'zc-charts'),
+            /* translators: %s: chart library name */
+            'libraryFailed' => __('The %s library failed to load.', 'zc-charts'),
+            'date' => __('Date', 'zc-charts'),
+            'value' => __('Value', 'zc-charts'),
+            'indicator' => __('Indicator', 'zc-charts'),
+            'noData' => __('No data available', 'zc-charts'),
+            /* translators: 1: quarter number, 2: year */
+            'quarter' => __('Q%1$s %2$s', 'zc-charts'),
+            /* translators: 1: comma-separated list of names, 2: last name in the list */
+            'and' => __('%1$s and %2$s', 'zc-charts'),
+            /* translators: 1: indicator names compared so far, 2: next indicator name */
+            'versus' => __('%1$s vs. %2$s', 'zc-charts'),
+            /* translators: %s: data source */
+            'source' => __('Source: %s', 'zc-charts'),
+            /* translators: %s: date of the latest observation */
+            'asOf' => __('as of %s', 'zc-charts'),
+            'cached' => __('(cached data)', 'zc-charts'),
+            'chart' => __('Chart', 'zc-charts'),
+            /* translators: %s: list of indicator names */
+            'chartOf' => __('Chart of %s', 'zc-charts'),
+            'summaryNoData' => __('No data available.', 'zc-charts'),
+            /* translators: %s: indicator name and units */
+            'seriesNoData' => __('%s: no data available.', 'zc-charts'),
+            /* translators: 1: indicator name and units, 2: value, 3: date */
+            'oneObservation' => __('%1$s: one observation, %2$s on %3$s.', 'zc-charts'),
+            /* translators: 1: indicator name and units, 2: number of observations, 3: first date, 4: last date */
+            'observations' => __('%1$s: %2$s observations from %3$s to %4$s.', 'zc-charts'),
+            /* translators: 1: value, 2: date */
+            'latest' => __('Latest value %1$s on %2$s.', 'zc-charts'),
+            /* translators: 1: lowest value, 2: its date, 3: highest value, 4: its date */
+            'lowHigh' => __('Low of %1$s on %2$s, high of %3$s on %4$s.', 'zc-charts'),
+            'unchanged' => __('Unchanged over the period.', 'zc-charts'),
+            'littleChanged' => __('Little changed over the period.', 'zc-charts'),
+            /* translators: %s: change, e.g. "12.5%" */
+            'trendUp' => __('Up %s over the period.', 'zc-charts'),
+            /* translators: %s: change, e.g. "12.5%" */
+            'trendDown' => __('Down %s over the period.', 'zc-charts'),
+            /* translators: 1: indicator name, 2: value, 3: date, 4: point number, 5: number of points */
+            'point' => __('%1$s: %2$s, %3$s. Point %4$s of %5$s.', 'zc-charts'),
+            'unitsChangePeriod' => __('% change from prior period', 'zc-charts'),
+            'unitsChangeYear' => __('% change from year ago', 'zc-charts'),
+            /* translators: %s: units of the data before the change, e.g. "Billions of dollars" */
+            'unitsChange' => __('Change, %s', 'zc-charts'),
+            /* translators: %s: date the index is based on */
+            'unitsIndex' => __('Index (%s = 100)', 'zc-charts'),
+            'unitsIndexStart' => __('Index (start = 100)', 'zc-charts'),
+            /* translators: 1: units of the data, 2: number of periods averaged */
+            'unitsAverage' => __('%1$s, %2$s-period average', 'zc-charts'),
+            /* translators: 1: units of the data, 2: number of periods summed */
+            'unitsSum' => __('%1$s, %2$s-period sum', 'zc-charts'),
+            /* translators: %s: units of the data */
+            'unitsCumulative' => __('Cumulative %s', 'zc-charts'),
+            'resetZoom' => __('Reset zoom', 'zc-charts'),
+            'instructions' => __('Use the left and right arrow keys to read the data points, and the up and down arrow keys to switch series.', 'zc-charts')
+        );
+    }
+    
     /**
      * Render error message
      */
@@ -13,33 +13,45 @@ if (!defined('ABSPATH')) {
 $chart_id = isset($chart_id) ? $chart_id : 'zc-chart-' . uniqid();
 $config = isset($config) ? $config : array();
 $data = isset($data) ? $data : array();
-$fallback_notice = isset($fallback_notice) ? $fallback_notice : false;
+$timeframe = isset($config['timeframe']) ? $config['timeframe'] : '1y';
+
+// Date ranges ("2020-01-01/2022-12-31" or "since:2020-01-01") prefill the date range picker
+$range_start = '';
+$range_end = '';
+if (preg_match('/^(?:since:(\d{4}-\d{2}-\d{2})|(\d{4}-\d{2}-\d{2})?\/(\d{4}-\d{2}-\d{2})?)$/', $timeframe, $range_match)) {
+    $range_start = !empty($range_match[1]) ? $range_match[1] : (isset($range_match[2]) ? $range_match[2] : '');
+    $range_end = isset($range_match[3]) ? $range_match[3] : '';
+}
 ?>
 
 <div class="zc-chart-wrapper" id="<?php echo esc_attr($chart_id); ?>-wrapper">
-    <?php if ($fallback_notice) : ?>
-        <div class="zc-chart-notice">
-            <?php echo esc_html__('Displaying cached data', 'zc-charts'); ?>
-        </div>
-    <?php endif; ?>
-    
     <div class="zc-chart-controls">
         <div class="timeframe-controls">
-            <button type="button" class="timeframe-btn active" data-timeframe="1y">
+            <button type="button" class="timeframe-btn<?php echo $timeframe === 'ytd' ? ' active' : ''; ?>" data-timeframe="ytd" aria-pressed="<?php echo $timeframe === 'ytd' ? 'true' : 'false'; ?>">
+                <?php echo esc_html__('YTD', 'zc-charts'); ?>
+            </button>
+            <button type="button" class="timeframe-btn<?php echo $timeframe === '1y' ? ' active' : ''; ?>" data-timeframe="1y" aria-pressed="<?php echo $timeframe === '1y' ? 'true' : 'false'; ?>">
                 <?php echo esc_html__('1Y', 'zc-charts'); ?>
             </button>
-            <button type="button" class="timeframe-btn" data-timeframe="3y">
+            <button type="button" class="timeframe-btn<?php echo $timeframe === '3y' ? ' active' : ''; ?>" data-timeframe="3y" aria-pressed="<?php echo $timeframe === '3y' ? 'true' : 'false'; ?>">
                 <?php echo esc_html__('3Y', 'zc-charts'); ?>
             </button>
-            <button type="button" class="timeframe-btn" data-timeframe="5y">
+            <button type="button" class="timeframe-btn<?php echo $timeframe === '5y' ? ' active' : ''; ?>" data-timeframe="5y" aria-pressed="<?php echo $timeframe === '5y' ? 'true' : 'false'; ?>">
                 <?php echo esc_html__('5Y', 'zc-charts'); ?>
             </button>
-            <button type="button" class="timeframe-btn" data-timeframe="10y">
+            <button type="button" class="timeframe-btn<?php echo $timeframe === '10y' ? ' active' : ''; ?>" data-timeframe="10y" aria-pressed="<?php echo $timeframe === '10y' ? 'true' : 'false'; ?>">
                 <?php echo esc_html__('10Y', 'zc-charts'); ?>
             </button>
-            <button type="button" class="timeframe-btn" data-timeframe="all">
+            <button type="button" class="timeframe-btn<?php echo $timeframe === 'all' ? ' active' : ''; ?>" data-timeframe="all" aria-pressed="<?php echo $timeframe === 'all' ? 'true' : 'false'; ?>">
                 <?php echo esc_html__('All', 'zc-charts'); ?>
             </button>
+            
+            <form class="zc-chart-range<?php echo $range_start || $range_end ? ' active' : ''; ?>">
+                <input type="date" class="zc-chart-range-start" value="<?php echo esc_attr($range_start); ?>" aria-label="<?php echo esc_attr__('Start date', 'zc-charts'); ?>">
+                <span class="zc-chart-range-separator"><?php echo esc_html__('to', 'zc-charts'); ?></span>
+                <input type="date" class="zc-chart-range-end" value="<?php echo esc_attr($range_end); ?>" aria-label="<?php echo esc_attr__('End date', 'zc-charts'); ?>">
+                <button type="submit" class="zc-chart-range-apply"><?php echo esc_html__('Apply', 'zc-charts'); ?></button>
+            </form>
         </div>
         
         <div class="chart-controls">
@@ -49,6 +61,16 @@ $fallback_notice = isset($fallback_notice) ? $fallback_notice : false;
                 <option value="area"><?php echo esc_html__('Area', 'zc-charts'); ?></option>
             </select>
             
+            <select class="export-format-selector" aria-label="<?php echo esc_attr__('Export Format', 'zc-charts'); ?>">
+                <option value="png"><?php echo esc_html__('Image (PNG)', 'zc-charts'); ?></option>
+                <option value="png@2x"><?php echo esc_html__('Image (PNG, 2x)', 'zc-charts'); ?></option>
+                <option value="svg"><?php echo esc_html__('Image (SVG)', 'zc-charts'); ?></option>
+                <option value="pdf"><?php echo esc_html__('Document (PDF)', 'zc-charts'); ?></option>
+                <option value="csv"><?php echo esc_html__('Data (CSV)', 'zc-charts'); ?></option>
+                <option value="json"><?php echo esc_html__('Data (JSON)', 'zc-charts'); ?></option>
+                <option value="xlsx"><?php echo esc_html__('Data (Excel)', 'zc-charts'); ?></option>
+            </select>
+            
             <button type="button" class="export-btn" aria-label="<?php echo esc_attr__('Export Chart', 'zc-charts'); ?>">
                 <?php echo esc_html__('Export', 'zc-charts'); ?>
             </button>
@@ -58,7 +80,7 @@ $fallback_notice = isset($fallback_notice) ? $fallback_notice : false;
     <div class="zc-chart-container" 
          id="<?php echo esc_attr($chart_id); ?>" 
          style="height: <?php echo isset($config['height']) ? esc_attr($config['height']) : '400px'; ?>;"
-         data-config='<?php echo json_encode($config); ?>'>
+         data-config="<?php echo esc_attr(wp_json_encode($config)); ?>">
     </div>
     
     <div class="zc-chart-loading" style="display: none;">
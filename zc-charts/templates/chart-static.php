@@ -26,7 +26,7 @@ $fallback_notice = isset($fallback_notice) ? $fallback_notice : false;
     <div class="zc-chart-container" 
          id="<?php echo esc_attr($chart_id); ?>" 
          style="height: <?php echo isset($config['height']) ? esc_attr($config['height']) : '400px'; ?>;"
-         data-config='<?php echo json_encode($config); ?>'>
+         data-config="<?php echo esc_attr(wp_json_encode($config)); ?>">
     </div>
     
     <div class="zc-chart-loading" style="display: none;">
@@ -0,0 +1,256 @@
+/**
+ * Chart handler conformance tests
+ * Runs the same scenarios against the Chart.js and Highcharts handlers: given the same data,
+ * configuration and actions, both must draw the same points and export the same data.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createContainer, createObservations, ResizeObserver } = require('./helpers');
+
+const ZCChartJSHandler = load('ZCChartJSHandler', 'chartjs-handler.js');
+const ZCHighchartsHandler = load('ZCHighchartsHandler', 'highcharts-handler.js');
+
+// How to read what each library was asked to draw, and how each reports a hovered point
+const libraries = {
+    'Chart.js': {
+        handler: ZCChartJSHandler,
+        // Series as [timestamp, value] pairs, leaving out the gaps on the shared date axis
+        getDrawn: chart => chart.data.datasets.map(dataset => dataset.data
+            .map((value, index) => [new Date(chart.data.labels[index]).getTime(), value])
+            .filter(([time, value]) => value !== null)),
+        getAxes: chart => chart.data.datasets.map(dataset => dataset.yAxisID === 'y1' ? 'right' : 'left'),
+        hover: (chart, time) => {
+            const index = chart.data.labels.findIndex(label => new Date(label).getTime() === time);
+            chart.options.onHover({}, [{ datasetIndex: 0, index: index }], chart);
+        }
+    },
+    Highcharts: {
+        handler: ZCHighchartsHandler,
+        getDrawn: chart => chart.series.map(series => series.points.map(point => [point.x, point.y])),
+        getAxes: chart => chart.series.map(series => series.options.yAxis === 1 ? 'right' : 'left'),
+        hover: (chart, time) => chart.options.plotOptions.series.point.events.mouseOver({ target: { x: time } })
+    }
+};
+
+/**
+ * Render a chart with each library
+ * Resolves with { name: { handler, library } }
+ */
+async function renderAll(data, config = {}, width = 800) {
+    const charts = {};
+
+    for (const name of Object.keys(libraries)) {
+        const handler = new libraries[name].handler(createContainer(width), data, { slug: 'gdp', ...config });
+        await handler.render();
+        charts[name] = { handler: handler, library: libraries[name] };
+    }
+
+    return charts;
+}
+
+/**
+ * Get the series each library drew, checking they are the same
+ */
+function getDrawn(charts) {
+    const [first, ...others] = Object.keys(charts).map(name =>
+        charts[name].library.getDrawn(charts[name].handler.chartInstance));
+
+    others.forEach(drawn => assert.deepEqual(drawn, first));
+    return first;
+}
+
+/**
+ * Get [timestamp, value] pairs for observations
+ */
+function toPairs(observations) {
+    return observations.map(point => [new Date(point.obs_date).getTime(), parseFloat(point.value)]);
+}
+
+describe('chart handlers', () => {
+    test('draw a single series, sorted and without missing values', async () => {
+        const observations = createObservations(['1.5', '2', '.', '3.25', '4']);
+        const data = {
+            indicator: { name: 'GDP', units: 'USD' },
+            data: [observations[3], observations[0], observations[2], observations[1], observations[4]]
+        };
+
+        const drawn = getDrawn(await renderAll(data));
+
+        assert.deepEqual(drawn, [toPairs([observations[0], observations[1], observations[3], observations[4]])]);
+    });
+
+    test('draw compared series on their own dates and axes', async () => {
+        const gdp = createObservations([1, 2, 3, 4], '2020-01-01');
+        const cpi = createObservations([10, 20, 30], '2020-01-03');
+        const data = {
+            series: [
+                { slug: 'gdp', indicator: { name: 'GDP', units: 'USD' }, data: gdp },
+                { slug: 'cpi', indicator: { name: 'CPI', units: 'Index' }, data: cpi }
+            ]
+        };
+
+        const charts = await renderAll(data, { axes: 'left,right' });
+
+        assert.deepEqual(getDrawn(charts), [toPairs(gdp), toPairs(cpi)]);
+        Object.values(charts).forEach(({ handler, library }) => {
+            assert.deepEqual(library.getAxes(handler.chartInstance), ['left', 'right']);
+        });
+    });
+
+    test('draw data prepared by the data pipeline as given', async () => {
+        const observations = createObservations([100, 110, 121, 133.1]);
+        const data = ZCDataPipeline.prepare({
+            series: [{ slug: 'gdp', indicator: { name: 'GDP' }, data: observations }]
+        }, { transform: 'diff' });
+
+        const drawn = getDrawn(await renderAll(data));
+
+        assert.deepEqual(drawn, [data.series[0].data.map(point => [point.time, point.value])]);
+    });
+
+    test('draw only the observations in a timeframe', async () => {
+        const observations = createObservations([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        const charts = await renderAll({ indicator: { name: 'GDP' }, data: observations });
+
+        await Promise.all(Object.values(charts).map(({ handler }) => handler.applyTimeframeFilter('2020-01-03/2020-01-06')));
+
+        assert.deepEqual(getDrawn(charts), [toPairs(observations.slice(2, 6))]);
+
+        await Promise.all(Object.values(charts).map(({ handler }) => handler.applyTimeframeFilter('all')));
+
+        assert.deepEqual(getDrawn(charts), [toPairs(observations)]);
+    });
+
+    test('draw new data passed to updateData', async () => {
+        const charts = await renderAll({ indicator: { name: 'GDP' }, data: createObservations([1, 2, 3]) });
+        const update = {
+            series: [
+                { slug: 'gdp', indicator: { name: 'GDP' }, data: createObservations([4, 5, 6, 7]) },
+                { slug: 'cpi', indicator: { name: 'CPI' }, data: createObservations([8, 9], '2020-01-02') }
+            ]
+        };
+
+        await Promise.all(Object.values(charts).map(({ handler }) => handler.updateData(update)));
+
+        assert.deepEqual(getDrawn(charts), update.series.map(item => toPairs(item.data)));
+    });
+
+    test('downsample long series to the chart width', async () => {
+        const observations = createObservations(Array.from({ length: 2000 }, (value, index) => Math.sin(index / 50)));
+
+        const drawn = getDrawn(await renderAll({ indicator: { name: 'GDP' }, data: observations }, {}, 300));
+
+        assert.equal(drawn[0].length, 300);
+        assert.deepEqual(drawn[0][0], toPairs(observations.slice(0, 1))[0]);
+        assert.deepEqual(drawn[0][299], toPairs(observations.slice(-1))[0]);
+    });
+
+    test('draw a zoomed-in range at full resolution', async () => {
+        const observations = createObservations(Array.from({ length: 2000 }, (value, index) => index % 7));
+        const charts = await renderAll({ indicator: { name: 'GDP' }, data: observations }, {}, 300);
+        const inside = observations.slice(1000, 1200);
+        const min = new Date(inside[0].obs_date).getTime();
+        const max = new Date(inside[inside.length - 1].obs_date).getTime();
+
+        await Promise.all(Object.values(charts).map(({ handler }) => handler.setZoom(min, max)));
+
+        Object.values(charts).forEach(({ handler, library }) => {
+            const drawn = library.getDrawn(handler.chartInstance)[0].filter(([time]) => time >= min && time <= max);
+            assert.deepEqual(drawn, toPairs(inside));
+            assert.deepEqual(handler.visibleRange, { min: min, max: max });
+        });
+    });
+
+    test('filter and downsample in the data pipeline, drawing only the latest timeframe', async () => {
+        const observations = createObservations(Array.from({ length: 2000 }, (value, index) => index % 7));
+        const charts = await renderAll({ indicator: { name: 'GDP' }, data: observations }, {}, 300);
+
+        await Promise.all(Object.values(charts).map(async ({ handler }) => {
+            const steps = [];
+            const run = handler.pipeline.run.bind(handler.pipeline);
+            handler.pipeline.run = (method, ...args) => {
+                steps.push(method);
+                return run(method, ...args);
+            };
+
+            await Promise.all([handler.applyTimeframeFilter('1y'), handler.applyTimeframeFilter('2020-01-03/2020-01-06')]);
+
+            assert.deepEqual(steps, ['filterSeries', 'filterSeries', 'downsample']);
+        }));
+
+        assert.deepEqual(getDrawn(charts), [toPairs(observations.slice(2, 6))]);
+    });
+
+    test('tell other charts about a hovered date once', async () => {
+        const observations = createObservations([1, 2, 3]);
+        const charts = await renderAll({ indicator: { name: 'GDP' }, data: observations });
+        const time = new Date(observations[1].obs_date).getTime();
+
+        Object.values(charts).forEach(({ handler, library }) => {
+            const events = [];
+            handler.container.addEventListener('zc-chart:hover', event => events.push(event.detail));
+
+            library.hover(handler.chartInstance, time);
+            library.hover(handler.chartInstance, time);
+
+            assert.deepEqual(events, [{ time: time }]);
+        });
+    });
+
+    test('export the same data', async () => {
+        const data = {
+            series: [
+                { slug: 'gdp', indicator: { name: 'GDP', units: 'USD' }, data: createObservations([1, 2, 3]) },
+                { slug: 'cpi', indicator: { name: 'CPI', units: 'Index' }, data: createObservations([4, 5], '2020-01-02') }
+            ]
+        };
+        const charts = await renderAll(data);
+
+        const exports = await Promise.all(Object.values(charts).map(async ({ handler }) => {
+            const { blob, filename } = await handler.exportData('csv');
+            return { filename: filename, text: await blob.text() };
+        }));
+
+        assert.deepEqual(exports[1], exports[0]);
+        assert.match(exports[0].text, /GDP/);
+    });
+
+    test('export the zoomed-in range as CSV that spreadsheets open safely', async () => {
+        const observations = createObservations([1, -2, 3, 4, 5]);
+        const data = { indicator: { name: '=HYPERLINK("https://example.com")', units: '€' }, data: observations };
+        const charts = await renderAll(data);
+        const min = new Date(observations[1].obs_date).getTime();
+        const max = new Date(observations[3].obs_date).getTime();
+
+        await Promise.all(Object.values(charts).map(async ({ handler }) => {
+            await handler.setZoom(min, max);
+
+            const { blob } = await handler.exportData('csv');
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            const rows = (await blob.text()).trim().split('\r\n');
+
+            assert.deepEqual(Array.from(bytes.slice(0, 3)), [0xef, 0xbb, 0xbf]);
+            assert.deepEqual(rows.slice(1).map(row => row.split(',')[0]), ['2020-01-02', '2020-01-03', '2020-01-04']);
+            assert.equal(rows[1], '2020-01-02,"\'=HYPERLINK(""https://example.com"")",gdp,-2,€,');
+        }));
+    });
+
+    test('stop watching the container when destroyed', async () => {
+        const observers = ResizeObserver.instances.length;
+        const charts = await renderAll({ indicator: { name: 'GDP' }, data: createObservations([1, 2, 3]) });
+
+        Object.values(charts).forEach(({ handler }) => {
+            const chart = handler.chartInstance;
+            const wrapper = handler.container.parentNode;
+
+            handler.destroy();
+
+            assert.equal(chart.destroyed, true);
+            assert.equal(handler.chartInstance, null);
+            assert.equal(wrapper.querySelector('.zc-chart-summary'), null);
+        });
+
+        ResizeObserver.instances.slice(observers).forEach(observer => assert.deepEqual(observer.elements, []));
+    });
+});
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * ZC Charts Test Helpers
+ * Loads the chart scripts into a jsdom page as the browser globals they expect, and stands in
+ * for the Chart.js and Highcharts libraries, recording what the handlers ask them to draw.
+ *
+ * Requires jsdom: npm install --no-save jsdom
+ */
+
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// A visible page, so background refreshes are scheduled
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { url: 'https://example.com/', pretendToBeVisual: true });
+const { window } = dom;
+
+global.window = window;
+global.document = window.document;
+global.location = window.location;
+global.history = window.history;
+global.CustomEvent = window.CustomEvent;
+global.Event = window.Event;
+global.HTMLElement = window.HTMLElement;
+global.getComputedStyle = window.getComputedStyle.bind(window);
+
+window.matchMedia = () => ({
+    matches: false,
+    addEventListener() {},
+    removeEventListener() {}
+});
+
+// Canvas drawing is left to the stand-in libraries
+window.HTMLCanvasElement.prototype.getContext = function () {
+    return { canvas: this };
+};
+
+/**
+ * Resize observer recording what it watches
+ */
+class ResizeObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.elements = [];
+        ResizeObserver.instances.push(this);
+    }
+
+    observe(element) {
+        this.elements.push(element);
+    }
+
+    disconnect() {
+        this.elements = [];
+    }
+}
+
+ResizeObserver.instances = [];
+global.ResizeObserver = ResizeObserver;
+
+/**
+ * Chart.js stand-in keeping the chart's configuration and the update modes it was drawn with
+ */
+class Chart {
+    constructor(ctx, config) {
+        this.ctx = ctx;
+        this.canvas = ctx.canvas;
+        this.config = config;
+        this.data = config.data;
+        this.options = config.options;
+        this.chartArea = null;
+        this.width = 0;
+        this.updates = [];
+        this.destroyed = false;
+        this.tooltip = { setActiveElements() {} };
+    }
+
+    update(mode) {
+        this.updates.push(mode);
+    }
+
+    resize() {}
+
+    isDatasetVisible() {
+        return true;
+    }
+
+    setActiveElements() {}
+
+    toBase64Image() {
+        return 'data:image/png;base64,';
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+global.Chart = Chart;
+
+/**
+ * Highcharts chart stand-in: series keep their points as { x, y }, and setting the x axis
+ * extremes fires afterSetExtremes as Highcharts does
+ */
+class HighchartsChart {
+    constructor(renderTo, options) {
+        this.options = options;
+        this.container = document.createElement('div');
+        renderTo.appendChild(this.container);
+
+        this.series = [];
+        this.resetZoomButton = null;
+        this.destroyed = false;
+        this.pointer = {
+            reset() {},
+            normalize: event => event
+        };
+        this.xAxis = [{
+            setExtremes: (min, max) => {
+                const events = options.xAxis && options.xAxis.events ? options.xAxis.events : {};
+                if (events.afterSetExtremes) {
+                    events.afterSetExtremes({
+                        userMin: min === null ? undefined : min,
+                        userMax: max === null ? undefined : max
+                    });
+                }
+            }
+        }];
+
+        options.series.forEach(item => this.addSeries(item, false));
+    }
+
+    addSeries(options) {
+        const series = {
+            options: options,
+            name: options.name,
+            visible: true,
+            points: [],
+            setData(data) {
+                series.points = data.map(([x, y]) => ({ x: x, y: y }));
+            },
+            update() {},
+            remove: () => this.series.splice(this.series.indexOf(series), 1)
+        };
+
+        series.setData(options.data);
+        this.series.push(series);
+        return series;
+    }
+
+    setTitle(title) {
+        this.title = title;
+    }
+
+    showResetZoom() {
+        this.resetZoomButton = { destroy: () => undefined };
+    }
+
+    update() {}
+
+    redraw() {}
+
+    destroy() {
+        this.destroyed = true;
+        this.container.remove();
+    }
+}
+
+global.Highcharts = {
+    chart: (renderTo, options) => new HighchartsChart(renderTo, options)
+};
+
+/**
+ * Load a script from assets/js as a global
+ */
+function load(name, file) {
+    global[name] = require(path.join(__dirname, '..', 'assets', 'js', file));
+    return global[name];
+}
+
+[
+    ['ZCI18n', 'i18n.js'],
+    ['ZCDataTransforms', 'data-transforms.js'],
+    ['ZCDataPipeline', 'data-pipeline.js'],
+    ['ZCThemes', 'themes.js'],
+    ['ZCAnnotations', 'annotations.js'],
+    ['ZCAccessibility', 'accessibility.js'],
+    ['ZCNavigator', 'navigator.js'],
+    ['ZCDataExport', 'data-export.js'],
+    ['ZCImageExport', 'image-export.js'],
+    ['ZCBaseHandler', 'base-handler.js']
+].forEach(([name, file]) => load(name, file));
+
+let containers = 0;
+
+/**
+ * Add a chart container of the given width to the page
+ * jsdom does no layout, so the width handlers downsample to is set by hand.
+ */
+function createContainer(width = 800) {
+    const wrapper = document.createElement('div');
+    const container = document.createElement('div');
+    container.id = `zc-chart-test-${++containers}`;
+    Object.defineProperty(container, 'clientWidth', { value: width, configurable: true });
+
+    wrapper.appendChild(container);
+    document.body.appendChild(wrapper);
+    return container;
+}
+
+/**
+ * Build observations for consecutive days from a start date
+ */
+function createObservations(values, start = '2020-01-01') {
+    const first = new Date(start).getTime();
+
+    return values.map((value, index) => ({
+        obs_date: new Date(first + index * 86400000).toISOString().substring(0, 10),
+        value: value
+    }));
+}
+
+module.exports = {
+    window,
+    load,
+    createContainer,
+    createObservations,
+    ResizeObserver,
+    Chart,
+    HighchartsChart
+};
\ No newline at end of file
@@ -0,0 +1,418 @@
+/**
+ * Chart loader integration tests
+ * Loads charts from the mock DMT server, checking the status the loader records in `charts` and
+ * what the page shows for live data, backup data and failures.
+ */
+
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createContainer, createObservations } = require('./helpers');
+const MockDMTServer = require('./mock-dmt-server');
+
+load('ZCRendererRegistry', 'renderer-registry.js');
+load('ZCSeriesCache', 'series-cache.js');
+load('ZCSVGHandler', 'svg-handler.js');
+const ZCFallbackHandler = load('ZCFallbackHandler', 'fallback-handler.js');
+const ZCChartLoader = load('ZCChartLoader', 'chart-loader.js');
+
+const server = new MockDMTServer();
+const gdp = createObservations([100, 101, 103, 102]);
+const cpi = createObservations([250, 251, 252]);
+const backup = createObservations([99, 100]);
+const day = 86400000;
+const loaders = [];
+
+/**
+ * Create a loader that gives up quickly
+ */
+function createLoader() {
+    const loader = new ZCChartLoader();
+    loader.config.apiTimeout = 200;
+    loader.config.retryAttempts = 0;
+    loader.config.retryDelay = 10;
+    loader.fallback.config.maxRetries = 0;
+    loader.fallback.config.retryDelay = 10;
+    loader.fallback.config.timeout = 200;
+
+    loaders.push(loader);
+    return loader;
+}
+
+/**
+ * Get the text of the notices shown with a chart
+ */
+function getNotices(container) {
+    return Array.from(container.parentNode.querySelectorAll('.zc-chart-notice')).map(notice => notice.textContent);
+}
+
+/**
+ * Load a chart with the built-in SVG renderer
+ * Resolves with { status, chart, container, notices, error }
+ */
+async function loadChart(loader, config) {
+    const container = createContainer();
+    await loader.loadChart(container, { library: 'svg', timeframe: 'all', ...config });
+
+    const chart = loader.getChart(container.id);
+    const error = container.querySelector('.zc-chart-error .error-message');
+
+    return {
+        status: chart.status,
+        chart: chart,
+        container: container,
+        notices: getNotices(container),
+        error: error ? error.textContent : null
+    };
+}
+
+describe('chart loader', () => {
+    before(async () => {
+        global.zcChartsConfig = {
+            restUrl: await server.start(),
+            apiKey: server.config.apiKey,
+            cacheTtl: 0
+        };
+
+        server.addIndicator('gdp', {
+            indicator: { name: 'GDP', units: 'USD' },
+            data: gdp,
+            backup: backup,
+            lastBackup: new Date(Date.now() - 3 * day).toISOString()
+        });
+        server.addIndicator('cpi', {
+            indicator: { name: 'CPI', units: 'Index' },
+            data: cpi,
+            lastBackup: new Date(Date.now() - 5 * day).toISOString()
+        });
+        server.addIndicator('new', { indicator: { name: 'New' }, data: gdp, backup: null });
+        server.addIndicator('undated', { indicator: { name: 'Undated' }, data: cpi });
+    });
+
+    after(() => server.stop());
+
+    beforeEach(() => {
+        zcChartsConfig.apiKey = server.config.apiKey;
+        server.reset();
+
+        // The loader logs every failure it recovers from
+        mock.method(console, 'error', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        // Stop the background refreshes of charts showing backup data
+        loaders.splice(0).forEach(loader => loader.charts.forEach((chart, chartId) => loader.destroyChart(chartId)));
+        mock.restoreAll();
+    });
+
+    test('loads live data', async () => {
+        const result = await loadChart(createLoader(), { slug: 'gdp' });
+
+        assert.equal(result.status, 'loaded');
+        assert.equal(result.chart.data.source, 'live');
+        assert.equal(result.chart.data.series[0].data.length, gdp.length);
+        assert.deepEqual(result.notices, []);
+        assert.equal(result.chart.handler.chartInstance.parentNode, result.container);
+        assert.deepEqual(server.requests.map(request => [request.route, request.accessKey]), [['data/gdp', 'test-key']]);
+    });
+
+    test('loads every indicator of a comparison chart', async () => {
+        const result = await loadChart(createLoader(), { slugs: 'gdp,cpi' });
+
+        assert.equal(result.status, 'loaded');
+        assert.deepEqual(result.chart.data.series.map(item => item.indicator.name), ['GDP', 'CPI']);
+        assert.deepEqual(server.requests.map(request => request.route).sort(), ['data/cpi', 'data/gdp']);
+    });
+
+    test('waits for slow responses within the timeout', async () => {
+        server.slow('data/gdp', 100);
+
+        const result = await loadChart(createLoader(), { slug: 'gdp' });
+
+        assert.equal(result.status, 'loaded');
+        assert.equal(result.chart.data.source, 'live');
+    });
+
+    for (const [name, fault] of [['a server error', 500], ['rate limiting', 429], ['malformed JSON', 'malformed']]) {
+        test(`falls back to the backup on ${name}`, async () => {
+            server.fail('data/gdp', fault);
+
+            const result = await loadChart(createLoader(), { slug: 'gdp' });
+
+            assert.equal(result.status, 'loaded-fallback');
+            assert.equal(result.chart.data.source, 'backup');
+            assert.equal(result.chart.data.series[0].data.length, backup.length);
+            assert.deepEqual(result.notices, ['Cached data from 3 days ago']);
+            assert.equal(result.error, null);
+        });
+    }
+
+    test('falls back to the backup when the live data times out', async () => {
+        server.fail('data/gdp', 'timeout');
+        const loader = createLoader();
+        loader.config.retryAttempts = 1;
+
+        const result = await loadChart(loader, { slug: 'gdp' });
+
+        assert.equal(result.status, 'loaded-fallback');
+        assert.equal(server.getRequests('data/gdp').length, 2);
+        assert.deepEqual(result.notices, ['Cached data from 3 days ago']);
+    });
+
+    test('retries a request that timed out', async () => {
+        server.fail('data/gdp', 'timeout', { times: 1 });
+        const loader = createLoader();
+        loader.config.retryAttempts = 1;
+
+        const result = await loadChart(loader, { slug: 'gdp' });
+
+        assert.equal(result.status, 'loaded');
+        assert.equal(server.getRequests('data/gdp').length, 2);
+        assert.deepEqual(result.notices, []);
+    });
+
+    test('shows an error when the API key is rejected', async () => {
+        zcChartsConfig.apiKey = 'revoked-key';
+
+        const result = await loadChart(createLoader(), { slug: 'gdp' });
+
+        assert.equal(result.status, 'error');
+        assert.equal(result.chart.error, 'No backup data available');
+        assert.equal(result.error, ZCI18n.text('unavailable'));
+        assert.deepEqual(result.notices, []);
+        assert.deepEqual(server.requests.map(request => [request.route, request.accessKey]), [
+            ['data/gdp', 'revoked-key'],
+            ['backup/gdp/check', 'revoked-key']
+        ]);
+    });
+
+    test('shows an error for an unknown indicator', async () => {
+        const result = await loadChart(createLoader(), { slug: 'missing' });
+
+        assert.equal(result.status, 'error');
+        assert.equal(result.error, ZCI18n.text('unavailable'));
+        assert.equal(server.getRequests('data/missing')[0].accessKey, 'test-key');
+    });
+
+    test('shows an error when live and backup data both fail', async () => {
+        server.fail('data/new', 500);
+
+        const result = await loadChart(createLoader(), { slug: 'new' });
+
+        assert.equal(result.status, 'error');
+        assert.equal(result.error, ZCI18n.text('unavailable'));
+        assert.deepEqual(result.notices, []);
+    });
+
+    test('dates a comparison chart\'s backup by its oldest indicator', async () => {
+        server.fail(/^data\//, 500);
+
+        const result = await loadChart(createLoader(), { slugs: 'gdp,cpi' });
+
+        assert.equal(result.status, 'loaded-fallback');
+        assert.deepEqual(result.notices, ['Cached data from 5 days ago']);
+    });
+
+    test('dates the backup from its info when the backup does not say', async () => {
+        server.fail('data/undated', 500);
+        server.fail('backup/undated', { status: 200, body: { indicator: { name: 'Undated' }, data: cpi } });
+
+        const result = await loadChart(createLoader(), { slug: 'undated' });
+
+        assert.equal(result.status, 'loaded-fallback');
+        assert.deepEqual(result.notices, [ZCI18n.text('cachedData')]);
+        assert.deepEqual(server.requests.map(request => request.route),
+            ['data/undated', 'backup/undated/check', 'backup/undated', 'backup/undated/info']);
+    });
+
+    test('shows one notice however often the chart reloads', async () => {
+        server.fail('data/gdp', 500);
+        const loader = createLoader();
+        const result = await loadChart(loader, { slug: 'gdp' });
+
+        await loader.refreshChart(result.container.id);
+        await loader.refreshChart(result.container.id, true);
+
+        assert.equal(loader.getChart(result.container.id).status, 'loaded-fallback');
+        assert.deepEqual(getNotices(result.container), ['Cached data from 3 days ago']);
+    });
+
+    test('removes the notice when a reload gets live data', async () => {
+        server.fail('data/gdp', 500, { times: 1 });
+        const loader = createLoader();
+        const result = await loadChart(loader, { slug: 'gdp' });
+
+        await loader.refreshChart(result.container.id, true);
+
+        assert.equal(loader.getChart(result.container.id).status, 'loaded');
+        assert.deepEqual(getNotices(result.container), []);
+    });
+
+    test('switches to live data once it recovers', async () => {
+        server.fail('data/gdp', 500, { times: 1 });
+        const loader = createLoader();
+        const result = await loadChart(loader, { slug: 'gdp' });
+        const chartId = result.container.id;
+        const updates = [];
+        result.container.addEventListener('zc-chart:updated', event => updates.push(event.detail.source));
+
+        assert.equal(result.status, 'loaded-fallback');
+        assert.ok(loader.refreshTimers.has(chartId));
+
+        await loader.backgroundRefresh(chartId);
+
+        const chart = loader.getChart(chartId);
+        assert.equal(chart.status, 'loaded');
+        assert.equal(chart.data.source, 'live');
+        assert.equal(chart.handler.data.series[0].data.length, gdp.length);
+        assert.deepEqual(getNotices(result.container), []);
+        assert.deepEqual(updates, ['live']);
+
+        // Without a refresh interval, a live chart is not fetched again
+        assert.equal(loader.refreshTimers.has(chartId), false);
+    });
+
+    test('keeps the backup while the live data is down', async () => {
+        server.fail('data/gdp', 500);
+        const loader = createLoader();
+        const result = await loadChart(loader, { slug: 'gdp' });
+
+        await loader.backgroundRefresh(result.container.id);
+
+        assert.equal(loader.getChart(result.container.id).status, 'loaded-fallback');
+        assert.equal(loader.getChart(result.container.id).data.source, 'backup');
+        assert.deepEqual(getNotices(result.container), ['Cached data from 3 days ago']);
+        assert.ok(loader.refreshTimers.has(result.container.id));
+    });
+
+    test('retries the live data on the recovery interval', async () => {
+        server.fail('data/gdp', 500, { times: 2 });
+        const loader = createLoader();
+        loader.config.recoveryInterval = 0.05;
+        loader.config.minRefreshInterval = 0;
+        const container = createContainer();
+        const updated = new Promise(resolve => container.addEventListener('zc-chart:updated', resolve, { once: true }));
+
+        await loader.loadChart(container, { slug: 'gdp', library: 'svg', timeframe: 'all' });
+        await updated;
+
+        assert.equal(loader.getChart(container.id).status, 'loaded');
+        assert.equal(server.getRequests('data/gdp').length, 3);
+        assert.deepEqual(getNotices(container), []);
+    });
+
+    test('shows an error without an API key, before any request', async () => {
+        zcChartsConfig.apiKey = '';
+
+        const result = await loadChart(createLoader(), { slug: 'gdp' });
+
+        assert.equal(result.status, 'error');
+        assert.equal(result.chart.error, 'API key not configured');
+        assert.deepEqual(server.requests, []);
+    });
+
+    test('shows an unknown library by name, as text', async () => {
+        const library = '<img src=x onerror=alert(1)>';
+
+        const loader = createLoader();
+        loader.config.fallbackLibrary = '';
+
+        const result = await loadChart(loader, { slug: 'gdp', library: library });
+
+        assert.equal(result.status, 'error');
+        assert.equal(result.container.querySelector('img'), null);
+        assert.match(result.error, /<img src=x/);
+        assert.deepEqual(server.requests, []);
+    });
+
+    test('keeps markup in the height out of the placeholder', () => {
+        const container = createContainer();
+
+        createLoader().showPlaceholder(container, { height: '400px"><img src=x onerror=alert(1)>' });
+
+        assert.equal(container.querySelector('img'), null);
+        assert.equal(container.querySelectorAll('.zc-chart-lazy-placeholder').length, 1);
+    });
+
+    test('reads a configuration with an apostrophe in an event label', () => {
+        const loader = createLoader();
+        const loadChart = mock.method(loader, 'loadChart', () => {});
+
+        // As printed by esc_attr(wp_json_encode($config))
+        const wrapper = createContainer().parentNode;
+        wrapper.innerHTML = '<div class="zc-chart-container" id="zc-chart-quoted" ' +
+            'data-config="{&quot;slug&quot;:&quot;gdp&quot;,&quot;events&quot;:&quot;2008-09-15:Lehman&#039;s collapse&quot;}"></div>';
+        loader.init();
+        wrapper.remove();
+
+        assert.equal(loadChart.mock.callCount(), 1);
+        assert.equal(loadChart.mock.calls[0].arguments[1].events, '2008-09-15:Lehman\'s collapse');
+        assert.equal(wrapper.querySelector('.zc-chart-error'), null);
+    });
+});
+
+describe('fallback handler', () => {
+    const apiKey = 'test-key';
+    let handler;
+
+    before(async () => {
+        global.zcChartsConfig = { restUrl: await server.start(), apiKey: apiKey };
+
+        server.addIndicator('gdp', { indicator: { name: 'GDP' }, data: gdp, backup: backup, lastBackup: '2026-10-17T06:00:00Z' });
+        server.addIndicator('new', { indicator: { name: 'New' }, data: gdp, backup: null });
+    });
+
+    after(() => server.stop());
+
+    beforeEach(() => {
+        server.reset();
+        handler = new ZCFallbackHandler();
+        handler.config.maxRetries = 0;
+        handler.config.retryDelay = 10;
+        handler.config.timeout = 200;
+
+        mock.method(console, 'error', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('loads the backup after checking it exists', async () => {
+        const data = await handler.handleFallback('gdp', apiKey, 'HTTP 500');
+
+        assert.equal(data.source, 'backup');
+        assert.deepEqual(data.data, backup);
+        assert.deepEqual(server.requests.map(request => request.route), ['backup/gdp/check', 'backup/gdp']);
+    });
+
+    test('rejects when there is no backup', async () => {
+        await assert.rejects(handler.handleFallback('new', apiKey), /No backup data available/);
+        assert.deepEqual(server.requests.map(request => request.route), ['backup/new/check']);
+    });
+
+    test('rejects when the backup cannot be loaded', async () => {
+        server.fail('backup/gdp', 500);
+        await assert.rejects(handler.handleFallback('gdp', apiKey), /Backup data unavailable: HTTP 500/);
+
+        server.reset();
+        server.fail('backup/gdp', 'malformed');
+        await assert.rejects(handler.handleFallback('gdp', apiKey), /Backup data unavailable/);
+
+        server.reset();
+        server.fail('backup/gdp', 'timeout');
+        await assert.rejects(handler.handleFallback('gdp', apiKey), /Backup data unavailable/);
+    });
+
+    test('treats a failed check as no backup', async () => {
+        server.fail('backup/gdp/check', 429);
+
+        assert.equal(await handler.isBackupAvailable('gdp', apiKey), false);
+        await assert.rejects(handler.handleFallback('gdp', apiKey), /No backup data available/);
+    });
+
+    test('reads when the backup was made', async () => {
+        assert.equal(await handler.getLastBackupTimestamp('gdp', apiKey), '2026-10-17T06:00:00Z');
+        assert.equal(await handler.getLastBackupTimestamp('new', apiKey), null);
+        assert.equal(await handler.getLastBackupTimestamp('gdp', 'revoked-key'), null);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,290 @@
+/**
+ * ZC Charts Mock DMT Server
+ * Local stand-in for the ZC DMT REST routes the charts read from, with scriptable failures
+ *
+ * Serves zc-dmt/v1/data/{slug}, backup/{slug}, backup/{slug}/check, backup/{slug}/info and indicators
+ * under /wp-json/, checking the access_key like a DMT site does. Run it on its own to point a
+ * development site at it:
+ *
+ *     node tests/mock-dmt-server.js [port]
+ */
+
+const http = require('http');
+
+class MockDMTServer {
+    constructor(options = {}) {
+        this.config = {
+            host: '127.0.0.1',
+            port: 0,
+            apiKey: 'test-key',
+            ...options
+        };
+
+        this.indicators = new Map();
+        this.faults = [];
+        this.requests = [];
+        this.server = null;
+        this.sockets = new Set();
+        this.restUrl = null;
+    }
+
+    /**
+     * Start listening
+     * Resolves with the REST URL to use as zcChartsConfig.restUrl
+     */
+    start() {
+        this.server = http.createServer((request, response) => this.handle(request, response));
+        this.server.on('connection', socket => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                const { port } = this.server.address();
+                this.restUrl = `http://${this.config.host}:${port}/wp-json/`;
+                resolve(this.restUrl);
+            });
+        });
+    }
+
+    /**
+     * Stop listening, dropping requests left hanging by a timeout
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        this.sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => this.server.close(() => {
+            this.server = null;
+            resolve();
+        }));
+    }
+
+    /**
+     * Serve an indicator
+     * Options: indicator ({ name, units, ... }), data (observations), backup (observations kept
+     * as the backup, the live data by default; null for none) and lastBackup (timestamp)
+     */
+    addIndicator(slug, options = {}) {
+        const data = options.data || [];
+
+        this.indicators.set(slug, {
+            indicator: { slug: slug, name: slug, ...options.indicator },
+            data: data,
+            backup: options.backup === undefined ? data : options.backup,
+            lastBackup: options.lastBackup || null
+        });
+    }
+
+    /**
+     * Make requests to a route fail
+     *
+     * The route is matched against the path after zc-dmt/v1/ ("data/gdp"), as a string, a RegExp,
+     * or "*" for every route. The fault is an HTTP status (401, 404, 429, 500, ...), "timeout" to
+     * never answer, "malformed" to answer with broken JSON, or { status, body, delay, timeout,
+     * malformed } to combine them; a delay alone answers normally, only slowly.
+     * Options: times (the number of requests to fail, every one by default).
+     */
+    fail(route, fault, options = {}) {
+        if (typeof fault === 'number') {
+            fault = { status: fault };
+        } else if (typeof fault === 'string') {
+            fault = { [fault]: true };
+        }
+
+        this.faults.push({
+            route: route,
+            fault: fault,
+            times: options.times === undefined ? Infinity : options.times
+        });
+    }
+
+    /**
+     * Answer requests to a route after a delay in milliseconds
+     */
+    slow(route, delay, options = {}) {
+        this.fail(route, { delay: delay }, options);
+    }
+
+    /**
+     * Forget the scripted faults and the request log
+     */
+    reset() {
+        this.faults = [];
+        this.requests = [];
+    }
+
+    /**
+     * Get the logged requests for a route
+     */
+    getRequests(route) {
+        return this.requests.filter(request => request.route === route);
+    }
+
+    /**
+     * Answer a request
+     */
+    async handle(request, response) {
+        const url = new URL(request.url, `http://${request.headers.host}`);
+        const match = /^\/wp-json\/zc-dmt\/v1\/(.+?)\/?$/.exec(url.pathname);
+        const route = match ? match[1] : url.pathname;
+
+        this.requests.push({
+            method: request.method,
+            route: route,
+            accessKey: url.searchParams.get('access_key'),
+            time: Date.now()
+        });
+
+        const fault = this.takeFault(route);
+        if (fault && fault.delay) {
+            await new Promise(resolve => setTimeout(resolve, fault.delay));
+        }
+        if (fault && fault.timeout) {
+            // Left hanging until the client gives up
+            return;
+        }
+        if (fault && fault.malformed) {
+            this.send(response, 200, '{"indicator": {"name": ', 'application/json');
+            return;
+        }
+        if (fault && fault.status) {
+            this.sendJSON(response, fault.status, fault.body || MockDMTServer.getError(fault.status));
+            return;
+        }
+
+        const result = match ? this.route(route, url.searchParams.get('access_key')) : { status: 404 };
+        this.sendJSON(response, result.status, result.body || MockDMTServer.getError(result.status));
+    }
+
+    /**
+     * Get the fault scripted for a route, counting it down
+     */
+    takeFault(route) {
+        const entry = this.faults.find(item => item.times > 0 && (item.route === '*' ||
+            (item.route instanceof RegExp ? item.route.test(route) : item.route === route)));
+        if (!entry) {
+            return null;
+        }
+
+        entry.times--;
+        return entry.fault;
+    }
+
+    /**
+     * Get the response a DMT site gives for a route
+     * Returns { status, body }
+     */
+    route(route, accessKey) {
+        if (accessKey !== this.config.apiKey) {
+            return { status: 401 };
+        }
+
+        if (route === 'indicators') {
+            return {
+                status: 200,
+                body: Array.from(this.indicators.values()).map(item => item.indicator)
+            };
+        }
+
+        const match = /^(data|backup)\/([^/]+)(?:\/(check|info))?$/.exec(route);
+        const item = match ? this.indicators.get(match[2]) : null;
+        if (!item) {
+            return { status: 404 };
+        }
+
+        if (match[1] === 'data') {
+            return match[3] ? { status: 404 } : {
+                status: 200,
+                body: { indicator: item.indicator, data: item.data }
+            };
+        }
+
+        if (match[3] === 'check') {
+            return { status: 200, body: { available: !!item.backup } };
+        }
+        if (!item.backup) {
+            return { status: 404 };
+        }
+        if (match[3] === 'info') {
+            return { status: 200, body: { last_backup: item.lastBackup } };
+        }
+
+        return {
+            status: 200,
+            body: { indicator: item.indicator, data: item.backup, last_backup: item.lastBackup }
+        };
+    }
+
+    /**
+     * Send a JSON response
+     */
+    sendJSON(response, status, body) {
+        const headers = status === 429 ? { 'Retry-After': '60' } : {};
+        this.send(response, status, JSON.stringify(body), 'application/json', headers);
+    }
+
+    /**
+     * Send a response
+     */
+    send(response, status, body, type, headers = {}) {
+        response.writeHead(status, {
+            'Content-Type': `${type}; charset=UTF-8`,
+            // Pages on a development site fetch from another origin
+            'Access-Control-Allow-Origin': '*',
+            ...headers
+        });
+        response.end(body);
+    }
+
+    /**
+     * Get a WordPress REST error body for a status
+     */
+    static getError(status) {
+        const code = MockDMTServer.errorCodes[status] || 'rest_error';
+
+        return {
+            code: code,
+            message: http.STATUS_CODES[status] || 'Error',
+            data: { status: status }
+        };
+    }
+}
+
+// WordPress REST error codes by status
+MockDMTServer.errorCodes = {
+    401: 'rest_forbidden',
+    404: 'rest_not_found',
+    429: 'rest_too_many_requests',
+    500: 'internal_server_error'
+};
+
+module.exports = MockDMTServer;
+
+// Serve two sample indicators when run on its own
+if (require.main === module) {
+    const server = new MockDMTServer({ port: parseInt(process.argv[2], 10) || 8089 });
+    const monthly = (start, count, value) => Array.from({ length: count }, (item, index) => ({
+        obs_date: new Date(Date.UTC(start, index, 1)).toISOString().substring(0, 10),
+        value: (value * Math.pow(1.003, index)).toFixed(2)
+    }));
+
+    server.addIndicator('gdp', {
+        indicator: { name: 'Gross Domestic Product', units: 'USD' },
+        data: monthly(2000, 300, 10000),
+        lastBackup: new Date().toISOString()
+    });
+    server.addIndicator('cpi', {
+        indicator: { name: 'Consumer Price Index', units: 'Index' },
+        data: monthly(2000, 300, 170),
+        lastBackup: new Date().toISOString()
+    });
+
+    server.start().then(restUrl => {
+        console.log(`Mock DMT server at ${restUrl}zc-dmt/v1/ (access key "${server.config.apiKey}")`);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Series cache tests
+ * Checks that invalidated and cleared responses are fetched again, also when they were kept in
+ * persistent storage.
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { window, load } = require('./helpers');
+
+const ZCSeriesCache = load('ZCSeriesCache', 'series-cache.js');
+
+/**
+ * Fetcher counting its calls
+ */
+function createFetcher(data) {
+    const fetcher = async () => {
+        fetcher.calls++;
+        return data;
+    };
+
+    fetcher.calls = 0;
+    return fetcher;
+}
+
+describe('series cache', () => {
+    beforeEach(() => window.localStorage.clear());
+
+    test('fetches again after a response is invalidated', async () => {
+        const cache = new ZCSeriesCache({ storage: 'localStorage' });
+        const fetcher = createFetcher({ data: [1] });
+
+        await cache.get('data/gdp', fetcher);
+        await cache.invalidate('data/gdp');
+        await cache.get('data/gdp', fetcher);
+
+        assert.equal(fetcher.calls, 2);
+    });
+
+    test('waits for persistent storage before an invalidation resolves', async () => {
+        const cache = new ZCSeriesCache({ storage: 'indexedDB' });
+        const stored = new Map([['data/gdp', { data: 'old', timestamp: Date.now() }]]);
+        const fetcher = createFetcher('new');
+
+        cache.readStorage = async key => stored.get(key) || null;
+        cache.deleteStorage = async key => {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            stored.delete(key);
+        };
+
+        await cache.invalidate('data/gdp');
+
+        assert.equal(await cache.get('data/gdp', fetcher), 'new');
+        assert.equal(fetcher.calls, 1);
+    });
+
+    test('clears responses stored by earlier page views', async () => {
+        new ZCSeriesCache({ storage: 'localStorage' }).set('data/gdp', { data: [1] });
+        window.localStorage.setItem('other-plugin', 'kept');
+
+        const cache = new ZCSeriesCache({ storage: 'localStorage' });
+        const fetcher = createFetcher({ data: [2] });
+        await cache.clear();
+
+        assert.deepEqual(await cache.get('data/gdp', fetcher), { data: [2] });
+        assert.equal(fetcher.calls, 1);
+        assert.equal(window.localStorage.getItem('other-plugin'), 'kept');
+    });
+});
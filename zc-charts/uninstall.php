@@ -27,6 +27,9 @@ if (WP_UNINSTALL_PLUGIN !== 'zc-charts/zc-charts.php') {
 // Delete plugin options
 delete_option('zc_charts_api_key');
 delete_option('zc_charts_default_library');
+delete_option('zc_charts_cache_ttl');
+delete_option('zc_charts_cache_storage');
+delete_option('zc_charts_theme');
 
 // Clear any transients that might have been set by the plugin
 delete_transient('zc_charts_api_key_validation');
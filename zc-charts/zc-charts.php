@@ -189,6 +189,21 @@ class ZC_Charts {
             'zc_charts_default_library',   // Option name for default library
             array('sanitize_callback' => 'sanitize_key') // Sanitization
         );
+        register_setting(
+            'zc_charts_settings_group',    // Settings group name
+            'zc_charts_cache_ttl',         // Option name for cache lifetime (seconds)
+            array('sanitize_callback' => 'absint', 'default' => 300) // Sanitization
+        );
+        register_setting(
+            'zc_charts_settings_group',    // Settings group name
+            'zc_charts_cache_storage',     // Option name for cache storage
+            array('sanitize_callback' => 'sanitize_key', 'default' => 'memory') // Sanitization
+        );
+        register_setting(
+            'zc_charts_settings_group',    // Settings group name
+            'zc_charts_theme',             // Option name for the site-wide chart theme
+            array('sanitize_callback' => 'sanitize_key', 'default' => 'auto') // Sanitization
+        );
 
         // Add settings section
         add_settings_section(
@@ -215,6 +230,33 @@ class ZC_Charts {
             'zc-charts-settings',          // Page slug
             'zc_charts_main_settings'      // Section ID
         );
+
+        // Add Cache Lifetime field
+        add_settings_field(
+            'zc_charts_cache_ttl_field',           // Field ID
+            __('Data Cache Lifetime', 'zc-charts'), // Field title
+            array($this, 'cache_ttl_field_callback'), // Callback
+            'zc-charts-settings',          // Page slug
+            'zc_charts_main_settings'      // Section ID
+        );
+
+        // Add Cache Storage field
+        add_settings_field(
+            'zc_charts_cache_storage_field',       // Field ID
+            __('Data Cache Storage', 'zc-charts'), // Field title
+            array($this, 'cache_storage_field_callback'), // Callback
+            'zc-charts-settings',          // Page slug
+            'zc_charts_main_settings'      // Section ID
+        );
+
+        // Add Theme field
+        add_settings_field(
+            'zc_charts_theme_field',          // Field ID
+            __('Chart Theme', 'zc-charts'),   // Field title
+            array($this, 'theme_field_callback'), // Callback
+            'zc-charts-settings',          // Page slug
+            'zc_charts_main_settings'      // Section ID
+        );
     }
 
     /**
@@ -269,6 +311,55 @@ class ZC_Charts {
         <?php
     }
 
+    /**
+     * Cache Lifetime field callback
+     * Renders the number of seconds indicator data is reused in the browser.
+     */
+    public function cache_ttl_field_callback() {
+        $current_ttl = get_option('zc_charts_cache_ttl', 300);
+        ?>
+        <input type="number" name="zc_charts_cache_ttl" id="zc_charts_cache_ttl" value="<?php echo esc_attr($current_ttl); ?>" min="0" step="1" class="small-text" />
+        <?php esc_html_e('seconds', 'zc-charts'); ?>
+        <p class="description"><?php esc_html_e('How long charts on a page reuse fetched indicator data before requesting it again. Use 0 to only merge simultaneous requests.', 'zc-charts'); ?></p>
+        <?php
+    }
+
+    /**
+     * Cache Storage field callback
+     * Renders where cached indicator data is kept in the browser.
+     */
+    public function cache_storage_field_callback() {
+        $current_storage = get_option('zc_charts_cache_storage', 'memory');
+        ?>
+        <select name="zc_charts_cache_storage" id="zc_charts_cache_storage">
+            <option value="memory" <?php selected($current_storage, 'memory'); ?>><?php esc_html_e('Page memory only', 'zc-charts'); ?></option>
+            <option value="localstorage" <?php selected($current_storage, 'localstorage'); ?>><?php esc_html_e('Local storage', 'zc-charts'); ?></option>
+            <option value="indexeddb" <?php selected($current_storage, 'indexeddb'); ?>><?php esc_html_e('IndexedDB', 'zc-charts'); ?></option>
+        </select>
+        <p class="description"><?php esc_html_e('Local storage and IndexedDB keep cached data between page views.', 'zc-charts'); ?></p>
+        <?php
+    }
+
+    /**
+     * Theme field callback
+     * Renders the site-wide chart theme selection dropdown.
+     */
+    public function theme_field_callback() {
+        $current_theme = get_option('zc_charts_theme', 'auto');
+        $themes = array_keys(apply_filters('zc_charts_themes', array()));
+        ?>
+        <select name="zc_charts_theme" id="zc_charts_theme">
+            <option value="auto" <?php selected($current_theme, 'auto'); ?>><?php esc_html_e('Match the visitor\'s color scheme', 'zc-charts'); ?></option>
+            <option value="light" <?php selected($current_theme, 'light'); ?>><?php esc_html_e('Light', 'zc-charts'); ?></option>
+            <option value="dark" <?php selected($current_theme, 'dark'); ?>><?php esc_html_e('Dark', 'zc-charts'); ?></option>
+            <?php foreach ($themes as $theme) : ?>
+                <option value="<?php echo esc_attr($theme); ?>" <?php selected($current_theme, $theme); ?>><?php echo esc_html($theme); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <p class="description"><?php esc_html_e('Individual charts can use another theme with the theme shortcode parameter.', 'zc-charts'); ?></p>
+        <?php
+    }
+
     /**
      * Display settings page
      * Renders the HTML for the plugin's settings page.